@@ -1,8 +1,8 @@
 // Treadmill Gait Lab (Browser-only)
 // Implements:
-// 1) More stable timing (upload uses requestVideoFrameCallback timestamps; live uses performance.now)
+// 1) More stable timing (upload seeks frame-by-frame at a fixed analysis frame rate; live uses performance.now)
 // 2) Ground line + crosshair + ground calibration button
-// 3) Analyze workflow: 10s warm-up -> 5s countdown -> analyze 10 steps (camera stays on)
+// 3) Analyze workflow: warm-up -> countdown -> capture (steps / duration / until Stop; configurable, camera stays on)
 //
 // Amendments in THIS version:
 // - Step length now computed reliably in upload + live using per-foot last strike times
@@ -10,6 +10,14 @@
 // - Everything else unchanged
 
 const POSE_VERSION = "0.5.1675469404";
+const DRAWING_UTILS_VERSION = "0.3.1675466124";
+const TASKS_VISION_VERSION = "0.10.14";
+
+// Analysis core (gait-core.js): landmarks in, strike/toe-off events and rows out
+const {
+  IDX, LANDMARK_NAMES, DEG, TRACKED_LANDMARKS, STRIKE_DETECTORS, SAMPEN_M, SAMPEN_R, getStrikeDetector, estimateFacingDirection,
+  estimateGroundY, createGaitEngine, cleanRows, sampleSD, dfaAlpha, sampleEntropy, strideRuns, poincareRuns
+} = GaitCore;
 
 const videoEl = document.getElementById("video");
 const canvasEl = document.getElementById("overlay");
@@ -20,29 +28,131 @@ const stopBtn = document.getElementById("stopBtn");
 const resetBtn = document.getElementById("resetBtn");
 
 const setGroundBtn = document.getElementById("setGroundBtn");
+const clickGroundBtn = document.getElementById("clickGroundBtn");
+const resetGroundBtn = document.getElementById("resetGroundBtn");
 const analyzeBtn = document.getElementById("analyzeBtn");
 
 const videoFileInput = document.getElementById("videoFile");
+const uploadFpsInput = document.getElementById("uploadFps");
 const processUploadBtn = document.getElementById("processUploadBtn");
 
+const batchCard = document.getElementById("batchCard");
+const batchTbody = document.getElementById("batchTbody");
+const batchDownloadBtn = document.getElementById("batchDownloadBtn");
+
 const downloadBtn = document.getElementById("downloadBtn");
+const downloadJsonBtn = document.getElementById("downloadJsonBtn");
+const downloadXlsxBtn = document.getElementById("downloadXlsxBtn");
+const downloadEventsBtn = document.getElementById("downloadEventsBtn");
+const reportHtmlBtn = document.getElementById("reportHtmlBtn");
+const reportPdfBtn = document.getElementById("reportPdfBtn");
+const downloadAnglesBtn = document.getElementById("downloadAnglesBtn");
+const recordAnglesInput = document.getElementById("recordAngles");
+const downloadLandmarksCsvBtn = document.getElementById("downloadLandmarksCsvBtn");
+const downloadLandmarksJsonBtn = document.getElementById("downloadLandmarksJsonBtn");
 const tbody = document.getElementById("tbody");
 
 const speedInput = document.getElementById("speed");
 const speedUnitSelect = document.getElementById("speedUnit");
+const strikeDetectorSelect = document.getElementById("strikeDetector");
 const minStrikeMsInput = document.getElementById("minStrikeMs");
 const smoothNInput = document.getElementById("smoothN");
 const visThreshInput = document.getElementById("visThresh");
 const groundTolPxInput = document.getElementById("groundTolPx");
+const groundTolUnitSelect = document.getElementById("groundTolUnit");
+const poseBackendSelect = document.getElementById("poseBackend");
+const poseModelSelect = document.getElementById("poseModel");
+const poseDetConfInput = document.getElementById("poseDetConf");
+const poseTrackConfInput = document.getElementById("poseTrackConf");
+const cleaningModeSelect = document.getElementById("cleaningMode");
+const cleaningTolPctInput = document.getElementById("cleaningTolPct");
+const scaleKnownCmInput = document.getElementById("scaleKnownCm");
+const scaleClickBtn = document.getElementById("scaleClickBtn");
+const legLengthCmInput = document.getElementById("legLengthCm");
+const scaleLegBtn = document.getElementById("scaleLegBtn");
+const scaleInfoEl = document.getElementById("scaleInfo");
+
+const participantIdInput = document.getElementById("participantId");
+const participantAgeInput = document.getElementById("participantAge");
+const participantMassInput = document.getElementById("participantMass");
+const sessionConditionInput = document.getElementById("sessionCondition");
+const sessionNotesInput = document.getElementById("sessionNotes");
+const saveSessionBtn = document.getElementById("saveSessionBtn");
+const sessionInfoEl = document.getElementById("sessionInfo");
+const historyTbody = document.getElementById("historyTbody");
+const historyInfoEl = document.getElementById("historyInfo");
+const compareSessionsBtn = document.getElementById("compareSessionsBtn");
+
+const compareCsvFile = document.getElementById("compareCsvFile");
+const compareCurrentBtn = document.getElementById("compareCurrentBtn");
+const compareClearBtn = document.getElementById("compareClearBtn");
+const comparisonInfoEl = document.getElementById("comparisonInfo");
+const comparisonTbody = document.getElementById("comparisonTbody");
+const comparisonHeadRow = document.getElementById("comparisonHeadRow");
+const effectTbody = document.getElementById("effectTbody");
+const effectHeadRow = document.getElementById("effectHeadRow");
+const compareDistCanvas = document.getElementById("compareDist");
+const compareProgressCanvas = document.getElementById("compareProgress");
+const compareSymmetryCanvas = document.getElementById("compareSymmetry");
+
+const captureModeSelect = document.getElementById("captureMode");
+const captureStepsInput = document.getElementById("captureSteps");
+const captureSecInput = document.getElementById("captureSec");
+const warmupSecInput = document.getElementById("warmupSec");
+const countdownSecInput = document.getElementById("countdownSec");
+const uploadInSecInput = document.getElementById("uploadInSec");
+const uploadOutSecInput = document.getElementById("uploadOutSec");
+
+const protocolOnInput = document.getElementById("protocolOn");
+const protocolStartInput = document.getElementById("protocolStart");
+const protocolStepInput = document.getElementById("protocolStep");
+const protocolStageSecInput = document.getElementById("protocolStageSec");
+const protocolStagesInput = document.getElementById("protocolStages");
+const protocolRampDownInput = document.getElementById("protocolRampDown");
+const protocolPreviewEl = document.getElementById("protocolPreview");
 
 const qualityEl = document.getElementById("quality");
 const facingEl = document.getElementById("facing");
 const lastSideEl = document.getElementById("lastSide");
 const lastFreqEl = document.getElementById("lastFreq");
+const transitionsEl = document.getElementById("transitions");
+const trackingKpisEl = document.getElementById("trackingKpis");
+const trackingTbody = document.getElementById("trackingTbody");
+const trackingGapsEl = document.getElementById("trackingGaps");
+const excludeLowQualityInput = document.getElementById("excludeLowQuality");
+const summaryTbody = document.getElementById("summaryTbody");
+const summaryKpisEl = document.getElementById("summaryKpis");
+const symmetryTbody = document.getElementById("symmetryTbody");
+const dynamicsTbody = document.getElementById("dynamicsTbody");
+const poincareCanvas = document.getElementById("poincare");
+const timelineCanvas = document.getElementById("timeline");
+const timelineFitBtn = document.getElementById("timelineFitBtn");
+const timelineInfoEl = document.getElementById("timelineInfo");
+
+const reviewPrevBtn = document.getElementById("reviewPrevBtn");
+const reviewPlayBtn = document.getElementById("reviewPlayBtn");
+const reviewNextBtn = document.getElementById("reviewNextBtn");
+const reviewRateSelect = document.getElementById("reviewRate");
+const reviewTimeEl = document.getElementById("reviewTime");
+
+const sessionFileInput = document.getElementById("sessionFile");
+const useLastCaptureBtn = document.getElementById("useLastCaptureBtn");
+const reanalyzeBtn = document.getElementById("reanalyzeBtn");
+const reanalysisInfoEl = document.getElementById("reanalysisInfo");
+const beforeTbody = document.getElementById("beforeTbody");
+const afterTbody = document.getElementById("afterTbody");
+const beforeSummaryEl = document.getElementById("beforeSummary");
+const afterSummaryEl = document.getElementById("afterSummary");
 const statusEl = document.getElementById("status");
+const modelStatusEl = document.getElementById("modelStatus");
 const hudEl = document.getElementById("hud");
 
-let pose = null;
+let pose = null; // pose backend in use: { key, connections, send(image, tMs), close() }
+let poseLoading = null; // createPose() in progress
+// Pose model + offline state for the status line: phase idle | loading | ready | failed
+let modelState = { phase: "idle", source: null, error: null };
+let offlineState = "checking"; // checking | ready | unavailable | failed
+let vendorState = "checking"; // checking | bundled | missing: vendor/mediapipe/ deployed with the app
 
 // Mode/state
 let streamOn = false;
@@ -58,46 +168,65 @@ let rafId = null;
 let lastFrameTimeMs = null;
 let lastLandmarks = null;
 
-// Ground line
+// Ground line: groundY = height at the image centre, groundSlope = tilt (px per px, + = lower to the right)
 let groundY = null;
+let groundSlope = 0;
 let groundCalibrated = false;
 let groundCalibrating = false;
-let groundSamples = [];
+let groundSamples = []; // heel positions { x, y } in px while calibrating
+// Two-point picking on the video: { kind: "ground" | "scale", points: [{ x, y }] }
+let overlayPick = null;
+
+// Scale: image pixels per metre in the runner's plane (null = not calibrated)
+let pxPerM = null;
+let scaleSource = null; // how the scale was set, for the exports
 
 // Export rows
 const rows = [];
 
-// Strike detection state
-const footState = {
-  R: { yHist: [], ySmHist: [], tLastStrike: null, lastMaxTime: null },
-  L: { yHist: [], ySmHist: [], tLastStrike: null, lastMaxTime: null },
-};
-
-// For reliable STEP TIME: last accepted strike per foot
-let lastStrikeTime = { R: null, L: null };
+// Upload batch: one result set per processed file
+// { fileName, status, rows, transitions }
+const batchResults = [];
+let uploadEndReason = null; // set when the current file has captured enough (ends its seek loop)
+let uploadBatch = null; // { stopped } while Process Upload runs; Stop sets stopped
 
-let lastAnyStrike = null; // {side, tMs} (used only as a global refractory reference)
+// Strike/toe-off detection of the current capture (see gait-core.js). The table rows are
+// derived from engine.strikeEvents, so they can be rebuilt after an edit on the timeline.
+const engine = createGaitEngine();
+const { strikeEvents, toeOffEvents, deletedStrikes, frameTrace } = engine;
 let stepCount = 0;
 
-// Tracking quality
-let goodFrames = 0;
-let totalFrames = 0;
-
-// MediaPipe landmark indices
-const IDX = {
-  L_SHOULDER: 11,
-  R_SHOULDER: 12,
-  L_HIP: 23,
-  R_HIP: 24,
-  L_KNEE: 25,
-  R_KNEE: 26,
-  L_ANKLE: 27,
-  R_ANKLE: 28,
-  L_HEEL: 29,
-  R_HEEL: 30,
-  L_FOOT: 31,
-  R_FOOT: 32,
-};
+// Capture configuration, snapshotted when a capture starts (see getCaptureConfig)
+let capture = null;
+let captureStartT = null; // analysis clock at the first analyzed frame
+
+// Speed-ramp protocol (null unless a ramp is running)
+// { stages: [{ n, speedMS }], stageMs, startT, stageIndex }
+const PROTOCOL_PROMPT_MS = 5000; // announce the next belt speed this long before the stage change
+let protocol = null;
+
+// Joint angles (sagittal plane, degrees)
+let frameAngles = null; // { R: {hip, knee, ankle}, L: {...} } of the current frame
+const angleFrames = []; // per-frame series when "Record per-frame joint angles" is on
+
+// Walk/Run transitions of the table rows
+const transitions = [];
+
+// Tracking quality: both feet visible, over the last QUALITY_WINDOW_FRAMES camera frames
+const QUALITY_WINDOW_FRAMES = 90;
+const qualityWindow = [];
+
+// Per-frame landmark recording of the current capture (see startLandmarkRecording)
+let landmarkRecording = null;
+
+// Offline re-analysis of a recording (loaded JSON or the last capture)
+let reanalysisSource = null;
+let replaySpeedMS = null; // belt speed of the recording while it is replayed
+
+// Video review of an uploaded file (after processing)
+let reviewPlaying = false;
+let reviewRafId = null;
+let reviewCursorMs = null; // video time shown in the review, marked on the timeline
 
 // ---------------- Utilities ----------------
 function setStatus(msg) {
@@ -108,11 +237,22 @@ function setHUD(msg) {
   hudEl.textContent = msg || "";
 }
 
-function getSpeedMS() {
-  const v = Number(speedInput.value || 0);
-  const unit = speedUnitSelect.value;
+function toSpeedMS(v) {
   if (!isFinite(v) || v <= 0) return 0;
-  return unit === "kmh" ? (v / 3.6) : v;
+  return speedUnitSelect.value === "kmh" ? (v / 3.6) : v;
+}
+
+// Belt speed in m/s: the active protocol stage while a ramp runs, the recorded speed
+// while re-analyzing a recording, otherwise the speed input
+function getSpeedMS() {
+  const stage = getProtocolStage();
+  if (stage) return stage.speedMS;
+  if (replaySpeedMS !== null) return replaySpeedMS;
+  return toSpeedMS(Number(speedInput.value || 0));
+}
+
+function fmtSpeed(vMS) {
+  return speedUnitSelect.value === "kmh" ? `${fmt(vMS * 3.6, 1)} km/h` : `${fmt(vMS, 2)} m/s`;
 }
 
 function fmt(x, digits = 3) {
@@ -125,16 +265,28 @@ function fmtInt(x) {
   return Math.round(x).toString();
 }
 
-function clamp(v, lo, hi) {
-  return Math.max(lo, Math.min(hi, v));
+// Quoted CSV text field
+function csvText(v) {
+  return `"${String(v ?? "").replace(/"/g, '""')}"`;
+}
+
+// Number from an optional input ("" → null)
+function numberOrNull(v) {
+  const n = Number(v);
+  return v === "" || v === null || !isFinite(n) ? null : n;
+}
+
+// treadmill_gait[_kind][_participant][_condition]_<timestamp>
+function exportFileStem(kind = "") {
+  const meta = getParticipantMeta();
+  const parts = [kind, meta.participantId, meta.condition]
+    .filter(Boolean)
+    .map((p) => p.replace(/[^A-Za-z0-9-]+/g, "-"));
+  return `${["treadmill_gait", ...parts].join("_")}_${new Date().toISOString().slice(0,19).replace(/[:T]/g,"-")}`;
 }
 
-function movingAverage(arr, n) {
-  if (arr.length === 0) return null;
-  const k = Math.min(n, arr.length);
-  let s = 0;
-  for (let i = arr.length - k; i < arr.length; i++) s += arr[i];
-  return s / k;
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
 }
 
 function updateCanvasSize() {
@@ -144,31 +296,81 @@ function updateCanvasSize() {
   canvasEl.height = h;
 }
 
+// Ground tolerance in px; a cm tolerance needs the scale (falls back to the 18 px default without one)
+function getGroundTolPx() {
+  if (groundTolUnitSelect.value === "cm") {
+    if (!pxPerM) return 18;
+    return clamp((Number(groundTolPxInput.value || 2) / 100) * pxPerM, 2, 400);
+  }
+  return Math.max(5, Math.min(80, Number(groundTolPxInput.value || 18)));
+}
+
+// Detection settings from the Inputs card (clamped to their valid ranges)
+function getDetectionSettings() {
+  return {
+    visThresh: clamp(Number(visThreshInput.value || 0.55), 0, 1),
+    minStrikeMs: Math.max(120, Number(minStrikeMsInput.value || 300)),
+    smoothN: Math.max(1, Math.min(15, Number(smoothNInput.value || 5))),
+    groundTolPx: getGroundTolPx(),
+    detector: STRIKE_DETECTORS[strikeDetectorSelect.value] ? strikeDetectorSelect.value : "ankleHeel"
+  };
+}
+
 function getTimeMs() {
   if (lastFrameTimeMs !== null) return lastFrameTimeMs;
   return videoEl.currentTime * 1000;
 }
 
+function noteTrackingFrame(good) {
+  qualityWindow.push(good);
+  if (qualityWindow.length > QUALITY_WINDOW_FRAMES) qualityWindow.shift();
+}
+
 function setStatusQuality() {
-  const q = totalFrames > 0 ? (goodFrames / totalFrames) : 0;
+  const n = qualityWindow.length;
+  const q = n > 0 ? qualityWindow.filter(Boolean).length / n : 0;
   if (q > 0.75) qualityEl.textContent = "Good";
   else if (q > 0.45) qualityEl.textContent = "Medium";
-  else if (totalFrames > 15) qualityEl.textContent = "Poor";
+  else if (n > 15) qualityEl.textContent = "Poor";
   else qualityEl.textContent = "—";
 }
 
-// Facing detection (side view)
-function estimateFacingDirection(landmarks) {
-  const leftIdx = [IDX.L_SHOULDER, IDX.L_HIP, IDX.L_KNEE, IDX.L_ANKLE, IDX.L_HEEL, IDX.L_FOOT];
-  const rightIdx = [IDX.R_SHOULDER, IDX.R_HIP, IDX.R_KNEE, IDX.R_ANKLE, IDX.R_HEEL, IDX.R_FOOT];
+function mean(arr) {
+  const v = arr.filter((x) => x !== null && x !== undefined && isFinite(x));
+  if (!v.length) return null;
+  return v.reduce((a, b) => a + b, 0) / v.length;
+}
+
+function finiteValues(arr) {
+  return arr.filter((x) => x !== null && x !== undefined && isFinite(x));
+}
 
-  let l = 0, r = 0;
-  for (const i of leftIdx) l += (landmarks[i]?.visibility ?? 0);
-  for (const i of rightIdx) r += (landmarks[i]?.visibility ?? 0);
+// Linear-interpolated quantile (q in 0–1) of an ascending array
+function quantileSorted(a, q) {
+  if (!a.length) return null;
+  const pos = (a.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return a[lo] + (a[hi] - a[lo]) * (pos - lo);
+}
 
-  const diff = l - r;
-  if (Math.abs(diff) < 0.35) return "Unknown";
-  return diff > 0 ? "Facing Right" : "Facing Left";
+// Descriptive stats; SD is the sample SD (n − 1), CV in %
+function describe(arr) {
+  const v = finiteValues(arr);
+  const n = v.length;
+  if (n === 0) return { n: 0, mean: null, sd: null, cv: null, median: null, iqr: null };
+
+  const m = v.reduce((a, b) => a + b, 0) / n;
+  const sd = n > 1 ? Math.sqrt(v.reduce((a, b) => a + (b - m) ** 2, 0) / (n - 1)) : null;
+  const sorted = v.slice().sort((x, y) => x - y);
+  return {
+    n,
+    mean: m,
+    sd,
+    cv: sd !== null && m !== 0 ? (100 * sd) / m : null,
+    median: quantileSorted(sorted, 0.5),
+    iqr: quantileSorted(sorted, 0.75) - quantileSorted(sorted, 0.25)
+  };
 }
 
 function percentile(arr, p) {
@@ -179,519 +381,3673 @@ function percentile(arr, p) {
 }
 
 // ---------------- Table + Export ----------------
-function addRowToTable(rowObj) {
+// One entry per step-table column, in <thead> order.
+// cell = text shown in the table, csv = raw value written to the CSV.
+// key = row field (also used to read exported CSVs back in); value/fromCsv convert units
+// where the export differs from the row field (strike time: ms in rows, s in exports).
+const ROW_COLUMNS = [
+  { header: "Step", key: "stepLabel", cell: (r) => r.stepLabel, csv: (r) => `"${r.stepLabel}"` },
+  {
+    header: "Time (s)", key: "tMs", cell: (r) => fmt(r.tMs / 1000, 3), csv: (r) => fmt(r.tMs / 1000, 3),
+    value: (r) => (isFinite(r.tMs) ? Number((r.tMs / 1000).toFixed(3)) : null), fromCsv: (v) => v * 1000
+  },
+  { header: "Mode", key: "mode", cell: (r) => r.transition ? `${r.mode} (${r.transition})` : (r.mode || ""), csv: (r) => r.mode ?? "" },
+  { header: "Stage", key: "stage", cell: (r) => r.stage ?? "", csv: (r) => r.stage ?? "" },
+  { header: "Belt Speed (m/s)", key: "beltSpeedMS", cell: (r) => fmt(r.beltSpeedMS, 2), csv: (r) => r.beltSpeedMS ?? "" },
+  { header: "Step Time (ms)", key: "stepTimeMs", cell: (r) => fmtInt(r.stepTimeMs), csv: (r) => r.stepTimeMs ?? "" },
+  { header: "Step Length (m)", key: "stepLenM", cell: (r) => fmt(r.stepLenM, 3), csv: (r) => r.stepLenM ?? "" },
+  { header: "Stride Time (ms)", key: "strideTimeMs", cell: (r) => fmtInt(r.strideTimeMs), csv: (r) => r.strideTimeMs ?? "" },
+  { header: "Stride Length (m)", key: "strideLenM", cell: (r) => fmt(r.strideLenM, 3), csv: (r) => r.strideLenM ?? "" },
+  { header: "Stride Frequency (Hz)", key: "strideFreqHz", cell: (r) => fmt(r.strideFreqHz, 3), csv: (r) => r.strideFreqHz ?? "" },
+  { header: "Contact Time (ms)", key: "contactMs", cell: (r) => fmtInt(r.contactMs), csv: (r) => r.contactMs ?? "" },
+  { header: "Swing Time (ms)", key: "swingMs", cell: (r) => fmtInt(r.swingMs), csv: (r) => r.swingMs ?? "" },
+  { header: "Flight Time (ms)", key: "flightMs", cell: (r) => fmtInt(r.flightMs), csv: (r) => r.flightMs ?? "" },
+  { header: "Double Support (ms)", key: "doubleSupportMs", cell: (r) => fmtInt(r.doubleSupportMs), csv: (r) => r.doubleSupportMs ?? "" },
+  { header: "Duty Factor", key: "dutyFactor", cell: (r) => fmt(r.dutyFactor, 3), csv: (r) => r.dutyFactor ?? "" },
+  { header: "Hip @IC (°)", key: "icHipDeg", cell: (r) => fmt(r.icHipDeg, 1), csv: (r) => r.icHipDeg ?? "" },
+  { header: "Knee @IC (°)", key: "icKneeDeg", cell: (r) => fmt(r.icKneeDeg, 1), csv: (r) => r.icKneeDeg ?? "" },
+  { header: "Ankle @IC (°)", key: "icAnkleDeg", cell: (r) => fmt(r.icAnkleDeg, 1), csv: (r) => r.icAnkleDeg ?? "" },
+  { header: "Hip @TO (°)", key: "toHipDeg", cell: (r) => fmt(r.toHipDeg, 1), csv: (r) => r.toHipDeg ?? "" },
+  { header: "Knee @TO (°)", key: "toKneeDeg", cell: (r) => fmt(r.toKneeDeg, 1), csv: (r) => r.toKneeDeg ?? "" },
+  { header: "Ankle @TO (°)", key: "toAnkleDeg", cell: (r) => fmt(r.toAnkleDeg, 1), csv: (r) => r.toAnkleDeg ?? "" },
+  { header: "Peak Knee Flex Stance (°)", key: "peakStanceKneeDeg", cell: (r) => fmt(r.peakStanceKneeDeg, 1), csv: (r) => r.peakStanceKneeDeg ?? "" },
+  { header: "Peak Knee Flex Swing (°)", key: "peakSwingKneeDeg", cell: (r) => fmt(r.peakSwingKneeDeg, 1), csv: (r) => r.peakSwingKneeDeg ?? "" },
+  { header: "Vertical Osc (cm)", key: "vertOscCm", cell: (r) => fmt(r.vertOscCm, 1), csv: (r) => r.vertOscCm ?? "" },
+  { header: "Landing Dist (cm)", key: "landingCm", cell: (r) => fmt(r.landingCm, 1), csv: (r) => r.landingCm ?? "" },
+  { header: "Confidence", key: "confidence", cell: (r) => fmt(r.confidence, 2), csv: (r) => r.confidence ?? "" },
+  { header: "Tracking Gap (ms)", key: "gapMs", cell: (r) => fmtInt(r.gapMs), csv: (r) => r.gapMs ?? "" },
+  {
+    header: "Low Quality", key: "lowQuality", cell: (r) => (r.lowQuality ? "yes" : ""), csv: (r) => (r.lowQuality ? 1 : 0),
+    value: (r) => (r.lowQuality ? 1 : 0), fromCsv: (v) => v === 1
+  },
+  { header: "Correction", key: "correction", cell: (r) => r.correction ?? "", csv: (r) => r.correction ?? "" },
+  { header: "Edit", key: "edit", cell: (r) => r.edit ?? "", csv: (r) => r.edit ?? "" },
+];
+
+function addRowToTable(rowObj, refresh = true) {
   rows.push(rowObj);
 
   const tr = document.createElement("tr");
+  if (rowObj.transition) tr.classList.add("transitionRow");
+  if (rowObj.lowQuality) tr.classList.add("lowQualityRow");
+
+  for (const col of ROW_COLUMNS) {
+    const td = document.createElement("td");
+    td.textContent = col.cell(rowObj);
+    tr.appendChild(td);
+  }
+
+  tbody.appendChild(tr);
+  updateExportButtons();
+  if (refresh) refreshAnalysis();
+}
+
+function updateExportButtons() {
+  const none = rows.length === 0;
+  for (const btn of [downloadBtn, downloadJsonBtn, downloadXlsxBtn, downloadEventsBtn, reportHtmlBtn, reportPdfBtn, saveSessionBtn]) {
+    btn.disabled = none;
+  }
+}
 
-  const tdStep = document.createElement("td");
-  tdStep.textContent = rowObj.stepLabel;
+function resetTable() {
+  rows.length = 0;
+  tbody.innerHTML = "";
+  updateExportButtons();
+  transitions.length = 0;
+  renderTransitions();
+  renderSummary();
+  renderSymmetry();
+  renderStrideDynamics();
+  renderTracking();
+}
 
-  const tdStepTime = document.createElement("td");
-  tdStepTime.textContent = fmtInt(rowObj.stepTimeMs);
+// ---------------- Tracking quality ----------------
+// Rows whose stride spans a tracking gap, or whose foot visibility × untracked share gives a
+// confidence below 0.5, are flagged low quality; with "Exclude low-quality steps" on they
+// stay in the table and the exports but are left out of the summary, symmetry and stride dynamics.
+function qualityRows(rs) {
+  return excludeLowQualityInput.checked ? rs.filter((r) => !r.lowQuality) : rs;
+}
 
-  const tdStepLen = document.createElement("td");
-  tdStepLen.textContent = fmt(rowObj.stepLenM, 3);
+// ---------------- Step cleaning ----------------
+// The table keeps the raw rows (as detected and edited); the summaries use the cleaned series
+// (GaitCore.cleanRows): missed strikes and outlier step/stride times flagged, optionally with
+// the missed strikes estimated. The Correction column marks what cleaning did to each raw row.
+function getCleaningSettings() {
+  const mode = cleaningModeSelect.value;
+  return {
+    mode,
+    tolerance: clamp(Number(cleaningTolPctInput.value || 35), 5, 200) / 100,
+    interpolate: mode === "interpolate"
+  };
+}
 
-  const tdStrideTime = document.createElement("td");
-  tdStrideTime.textContent = fmtInt(rowObj.strideTimeMs);
+function describeCleaning(c = getCleaningSettings()) {
+  if (c.mode === "off") return "off";
+  return `${c.interpolate ? "flag and estimate missed strikes" : "flag"} · outliers beyond ±${fmtInt(100 * c.tolerance)}% of the running median`;
+}
 
-  const tdStrideLen = document.createElement("td");
-  tdStrideLen.textContent = fmt(rowObj.strideLenM, 3);
+function cleanedSeries(rs) {
+  const c = getCleaningSettings();
+  if (c.mode === "off") return { rows: rs, marks: rs.map(() => null) };
+  return cleanRows(rs, c);
+}
 
-  const tdStrideFreq = document.createElement("td");
-  tdStrideFreq.textContent = fmt(rowObj.strideFreqHz, 3);
+// Rows the summaries are computed from: cleaned series, minus excluded low-quality steps
+function summaryRows(rs) {
+  return qualityRows(cleanedSeries(rs).rows);
+}
 
-  tr.appendChild(tdStep);
-  tr.appendChild(tdStepTime);
-  tr.appendChild(tdStepLen);
-  tr.appendChild(tdStrideTime);
-  tr.appendChild(tdStrideLen);
-  tr.appendChild(tdStrideFreq);
+// Updates the Correction column; returns the cleaned rows so the views need no second pass
+function refreshCorrections() {
+  const { rows: cleaned, marks } = cleanedSeries(rows);
+  const col = ROW_COLUMNS.findIndex((c) => c.key === "correction");
+  rows.forEach((r, i) => {
+    r.correction = marks[i];
+    const tr = tbody.children[i];
+    if (!tr) return;
+    tr.children[col].textContent = ROW_COLUMNS[col].cell(r);
+    tr.classList.toggle("correctedRow", marks[i] !== null);
+  });
+  return cleaned;
+}
 
-  tbody.appendChild(tr);
-  downloadBtn.disabled = rows.length === 0;
+// Correction column, summary, symmetry and stride dynamics from one cleaning pass
+function refreshAnalysis() {
+  const cleaned = refreshCorrections();
+  renderSummary(cleaned);
+  renderSymmetry(cleaned);
+  renderStrideDynamics(cleaned);
 }
 
-function resetTable() {
-  rows.length = 0;
-  tbody.innerHTML = "";
-  downloadBtn.disabled = true;
+function currentTracking() {
+  return currentSession ? (currentSession.tracking ?? null) : engine.trackingSummary();
+}
+
+function describeTracking(t) {
+  if (!t || t.frames === 0) return "";
+  const longest = t.gaps.reduce((m, g) => Math.max(m, g.toMs - g.fromMs), 0);
+  return `${t.frames} frames · pose in ${fmt((100 * t.posed) / t.frames, 1)}% · ${fmt(t.fps, 1) || "—"} fps · ` +
+    `${t.dropped} dropped · ${t.gaps.length} gaps${t.gaps.length ? ` (longest ${fmtInt(longest)} ms)` : ""}`;
+}
+
+function renderTracking() {
+  const t = currentTracking();
+  const flagged = rows.filter((r) => r.lowQuality).length;
+  const text = describeTracking(t);
+  trackingKpisEl.textContent = text
+    ? `${text} · Low-quality steps: ${flagged} of ${rows.length}`
+    : (rows.length ? `No tracking statistics for this table · Low-quality steps: ${flagged} of ${rows.length}` : "—");
+
+  trackingTbody.innerHTML = "";
+  for (const { name } of TRACKED_LANDMARKS) {
+    const r = t?.landmarks.find((x) => x.name === name && x.side === "R");
+    const l = t?.landmarks.find((x) => x.name === name && x.side === "L");
+    const tr = document.createElement("tr");
+    const cells = [
+      name,
+      fmt(r?.meanVisibility, 2),
+      fmt(l?.meanVisibility, 2),
+      fmt(100 * (r?.visibleFraction ?? NaN), 1),
+      fmt(100 * (l?.visibleFraction ?? NaN), 1)
+    ];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    trackingTbody.appendChild(tr);
+  }
+
+  const gaps = t?.gaps ?? [];
+  trackingGapsEl.textContent = gaps.length
+    ? `Tracking gaps: ${gaps.map((g) => `${g.side === "R" ? "Right" : "Left"} ${fmt(g.fromMs / 1000, 2)}–${fmt(g.toMs / 1000, 2)} s`).join("; ")}`
+    : "Tracking gaps: none.";
+}
+
+// ---------------- Session summary ----------------
+const SUMMARY_METRICS = [
+  { key: "stepTimeMs", label: "Step Time (ms)", digits: 0 },
+  { key: "strideTimeMs", label: "Stride Time (ms)", digits: 0 },
+  { key: "stepLenM", label: "Step Length (m)", digits: 3 },
+  { key: "strideFreqHz", label: "Stride Frequency (Hz)", digits: 3 },
+  { key: "vertOscCm", label: "Vertical Oscillation (cm)", digits: 1 },
+  { key: "landingCm", label: "Landing Distance (cm)", digits: 1 },
+];
+
+const SUMMARY_SIDES = [
+  { label: "All", match: () => true },
+  { label: "Left", match: (r) => r.stepLabel === "Left" },
+  { label: "Right", match: (r) => r.stepLabel === "Right" },
+];
+
+// Rows without a step or stride time count as missing, apart from the first strike of each
+// foot (nothing to measure from yet); low-quality rows are counted, and left out of the stats
+// when excluded. Stats and cadence come from the cleaned series.
+function computeSummary(rs, cleaned = cleanedSeries(rs).rows) {
+  const used = qualityRows(cleaned);
+  const corrected = (c) => cleaned.filter((r) => r.correction === c).length;
+  const firstStrikes = ["Right", "Left"].map((side) => rs.find((r) => r.stepLabel === side));
+  const stats = [];
+  for (const m of SUMMARY_METRICS) {
+    for (const side of SUMMARY_SIDES) {
+      stats.push({ metric: m, side: side.label, ...describe(used.filter(side.match).map((r) => r[m.key])) });
+    }
+  }
+
+  const meanStepMs = mean(used.map((r) => r.stepTimeMs));
+  return {
+    stats,
+    steps: rs.length,
+    cadenceSpm: meanStepMs ? 60000 / meanStepMs : null,
+    missing: rs.filter((r) => !firstStrikes.includes(r) && (r.stepTimeMs === null || r.strideTimeMs === null)).length,
+    rejected: engine.rejectedStrikes,
+    lowQuality: rs.filter((r) => r.lowQuality).length,
+    excluded: cleaned.length - used.length,
+    missedSteps: corrected("missed step"),
+    estimated: corrected("estimated"),
+    outliers: corrected("outlier")
+  };
+}
+
+// ---------------- Left/Right symmetry ----------------
+// Row side = the foot that just struck, so a "Right" row holds the right step time,
+// right step length and the right foot's contact time.
+const SYMMETRY_METRICS = [
+  { key: "stepTimeMs", label: "Step Time (ms)", digits: 0 },
+  { key: "stepLenM", label: "Step Length (m)", digits: 3 },
+  { key: "contactMs", label: "Contact Time (ms)", digits: 0 },
+];
+const SYMMETRY_WINDOW_STEPS = 10; // rolling window (both sides)
+
+// Symmetry index (%): 0 = symmetric, positive = right larger
+function symmetryIndex(r, l) {
+  if (r === null || l === null || r + l === 0) return null;
+  return (100 * (r - l)) / (0.5 * (r + l));
+}
+
+// Symmetry angle (%, Zifchock et al. 2008): 0 = symmetric, ±100 = maximal asymmetry
+function symmetryAngle(r, l) {
+  if (r === null || l === null || r === 0) return null;
+  let a = 45 - (Math.atan(l / r) * 180) / Math.PI;
+  if (a > 90) a -= 180;
+  return (100 * a) / 90;
+}
+
+function computeSymmetry(rs, cleaned = cleanedSeries(rs).rows) {
+  return symmetryOf(qualityRows(cleaned));
+}
+
+function symmetryOf(rs) {
+  return SYMMETRY_METRICS.map((m) => {
+    const r = mean(rs.filter((x) => x.stepLabel === "Right").map((x) => x[m.key]));
+    const l = mean(rs.filter((x) => x.stepLabel === "Left").map((x) => x[m.key]));
+    return {
+      metric: m,
+      right: r,
+      left: l,
+      si: symmetryIndex(r, l),
+      sa: symmetryAngle(r, l),
+      ratio: r !== null && l ? r / l : null
+    };
+  });
+}
+
+// Symmetry index over the last SYMMETRY_WINDOW_STEPS rows, for every row once the window is full
+function computeRollingSymmetry(rs, cleaned = cleanedSeries(rs).rows) {
+  const out = [];
+  for (let i = SYMMETRY_WINDOW_STEPS - 1; i < cleaned.length; i++) {
+    const win = qualityRows(cleaned.slice(i - SYMMETRY_WINDOW_STEPS + 1, i + 1));
+    const sym = symmetryOf(win);
+    out.push({ stepNumber: i + 1, tMs: cleaned[i].tMs, si: sym.map((x) => x.si) });
+  }
+  return out;
+}
+
+function renderSymmetry(cleaned = cleanedSeries(rows).rows) {
+  const sym = computeSymmetry(rows, cleaned);
+  const rolling = computeRollingSymmetry(rows, cleaned);
+  const last = rolling.length ? rolling[rolling.length - 1] : null;
+
+  symmetryTbody.innerHTML = "";
+  sym.forEach((x, i) => {
+    const d = x.metric.digits;
+    const tr = document.createElement("tr");
+    const cells = [
+      x.metric.label,
+      fmt(x.right, d),
+      fmt(x.left, d),
+      fmt(x.si, 1),
+      fmt(x.sa, 1),
+      fmt(x.ratio, 3),
+      last ? fmt(last.si[i], 1) : ""
+    ];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    symmetryTbody.appendChild(tr);
+  });
+}
+
+// ---------------- Stride dynamics (DFA, sample entropy, Poincaré) ----------------
+// Computed on each foot's stride-time series (same-foot strike intervals, in order) with the
+// GaitCore measures. Strides dropped by cleaning, missing or excluded as low quality split the
+// series into contiguous runs: DFA and sample entropy use the longest run, Poincaré pairs
+// successive strides within each run.
+const DYNAMICS_MIN_RELIABLE_N = 64; // DFA/SampEn need long series; shorter ones are flagged
+
+function computeStrideDynamics(rs, cleaned = cleanedSeries(rs).rows) {
+  const used = new Set(qualityRows(cleaned));
+  return ["Right", "Left"].map((label) => {
+    const runs = strideRuns(cleaned, label, (r) => used.has(r));
+    const series = runs.reduce((a, b) => (b.length > a.length ? b : a), []);
+    const pc = poincareRuns(runs);
+    return {
+      label,
+      runs,
+      n: series.length,
+      strides: runs.reduce((a, run) => a + run.length, 0),
+      alpha: dfaAlpha(series),
+      sampEn: sampleEntropy(series),
+      sd1: pc.sd1,
+      sd2: pc.sd2,
+      ratio: pc.sd1 !== null && pc.sd2 ? pc.sd1 / pc.sd2 : null
+    };
+  });
+}
+
+function drawPoincare(dyn) {
+  const c = poincareCanvas.getContext("2d");
+  const W = poincareCanvas.width, H = poincareCanvas.height, pad = 36;
+  c.clearRect(0, 0, W, H);
+
+  // each foot needs its own 2 points (successive strides within a run); the axes span the
+  // feet that have them
+  const enough = (d) => d.sd1 !== null;
+  const all = dyn.filter(enough).flatMap((d) => d.runs.filter((run) => run.length > 1).flat());
+  c.fillStyle = "rgba(170,179,214,0.9)";
+  c.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+  if (all.length === 0) {
+    c.fillText("Poincaré plot: needs at least 3 successive strides per foot", pad, H / 2);
+    return;
+  }
+
+  let lo = Math.min(...all), hi = Math.max(...all);
+  const span = Math.max(20, hi - lo);
+  lo -= span * 0.1;
+  hi += span * 0.1;
+  const px = (v) => pad + ((v - lo) / (hi - lo)) * (W - 2 * pad);
+  const py = (v) => H - pad - ((v - lo) / (hi - lo)) * (H - 2 * pad);
+
+  c.strokeStyle = "rgba(255,255,255,0.12)";
+  c.strokeRect(pad, pad, W - 2 * pad, H - 2 * pad);
+  c.beginPath();
+  c.moveTo(px(lo), py(lo));
+  c.lineTo(px(hi), py(hi));
+  c.stroke();
+
+  c.fillText(`stride n (ms)  ${Math.round(lo)}–${Math.round(hi)}`, pad, H - 10);
+  c.save();
+  c.translate(14, H - pad);
+  c.rotate(-Math.PI / 2);
+  c.fillText("stride n+1 (ms)", 0, 0);
+  c.restore();
+
+  const colors = { Right: "rgba(255,140,120,0.9)", Left: "rgba(120,190,255,0.9)" };
+  dyn.forEach((d, k) => {
+    c.fillStyle = colors[d.label];
+    if (!enough(d)) {
+      c.fillText(`${d.label}: < 3 in a row`, W - pad - 90, pad + 16 + k * 16);
+      return;
+    }
+    for (const run of d.runs) {
+      for (let i = 0; i < run.length - 1; i++) {
+        c.beginPath();
+        c.arc(px(run[i]), py(run[i + 1]), 3, 0, 2 * Math.PI);
+        c.fill();
+      }
+    }
+    c.fillText(d.label, W - pad - 50, pad + 16 + k * 16);
+  });
+}
+
+// "n", or "n of total (k runs)" when the series was split; "(short)" below the reliable length
+function describeDynamicsStrides(d) {
+  const split = d.runs.length > 1 ? ` of ${d.strides} (${d.runs.length} runs)` : "";
+  return `${d.n}${split}${d.n < DYNAMICS_MIN_RELIABLE_N ? " (short)" : ""}`;
+}
+
+function renderStrideDynamics(cleaned = cleanedSeries(rows).rows) {
+  const dyn = computeStrideDynamics(rows, cleaned);
+
+  dynamicsTbody.innerHTML = "";
+  for (const d of dyn) {
+    const tr = document.createElement("tr");
+    const cells = [
+      d.label,
+      describeDynamicsStrides(d),
+      fmt(d.alpha, 3),
+      fmt(d.sampEn, 3),
+      fmt(d.sd1, 1),
+      fmt(d.sd2, 1),
+      fmt(d.ratio, 3)
+    ];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    dynamicsTbody.appendChild(tr);
+  }
+
+  drawPoincare(dyn);
+}
+
+function renderSummary(cleaned = cleanedSeries(rows).rows) {
+  const sm = computeSummary(rows, cleaned);
+  summaryKpisEl.textContent =
+    `Cadence: ${fmt(sm.cadenceSpm, 1) || "—"} steps/min · Steps: ${sm.steps} · ` +
+    `Missing: ${sm.missing} · Rejected strikes: ${sm.rejected} · ` +
+    `Low quality: ${sm.lowQuality}${sm.excluded ? ` (${sm.excluded} excluded)` : ""} · ` +
+    `Missed steps: ${sm.missedSteps}${sm.estimated ? ` (${sm.estimated} estimated)` : ""} · Outliers: ${sm.outliers}`;
+
+  summaryTbody.innerHTML = "";
+  for (const st of sm.stats) {
+    const d = st.metric.digits;
+    const tr = document.createElement("tr");
+    const cells = [
+      st.metric.label,
+      st.side,
+      String(st.n),
+      fmt(st.mean, d),
+      fmt(st.sd, d),
+      fmt(st.cv, 1),
+      fmt(st.median, d),
+      fmt(st.iqr, d)
+    ];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    summaryTbody.appendChild(tr);
+  }
+}
+
+function renderTransitions() {
+  if (transitions.length === 0) {
+    transitionsEl.textContent = "Walk/Run transitions: none detected.";
+    return;
+  }
+  const parts = transitions.map((t) =>
+    `step ${t.stepNumber} (${t.side}) at ${fmt(t.tMs / 1000, 2)} s: ${t.from} → ${t.to} @ ${fmt(t.speedMS, 2)} m/s (${fmt(t.speedMS * 3.6, 1)} km/h)`
+  );
+  transitionsEl.textContent = `Walk/Run transitions: ${parts.join("; ")}`;
 }
 
 function downloadCSV() {
   if (rows.length === 0) return;
 
-  const header = [
-    "Step",
-    "Step Time (ms)",
-    "Step Length (m)",
-    "Stride Time (ms)",
-    "Stride Length (m)",
-    "Stride Frequency (Hz)"
-  ];
+  const header = ROW_COLUMNS.map((c) => c.header);
 
-  const lines = [header.join(",")];
+  const lines = ["Treadmill Gait Lab", "Session"];
+  for (const [label, value] of describeSessionMeta()) lines.push(`${csvText(label)},${csvText(value)}`);
+  lines.push("");
+  lines.push(header.join(","));
 
   for (const r of rows) {
-    lines.push([
-      `"${r.stepLabel}"`,
-      r.stepTimeMs ?? "",
-      r.stepLenM ?? "",
-      r.strideTimeMs ?? "",
-      r.strideLenM ?? "",
-      r.strideFreqHz ?? ""
-    ].join(","));
+    lines.push(ROW_COLUMNS.map((c) => c.csv(r)).join(","));
+  }
+
+  const cleaned = cleanedSeries(rows).rows;
+  if (cleaned !== rows) {
+    lines.push("");
+    lines.push(`"Cleaned Steps (${describeCleaning()})"`);
+    lines.push(header.join(","));
+    for (const r of cleaned) lines.push(ROW_COLUMNS.map((c) => c.csv(r)).join(","));
+  }
+
+  if (deletedStrikes.length > 0) {
+    lines.push("");
+    lines.push("Deleted Strikes (manual)");
+    lines.push(["Side", "Time (ms)"].join(","));
+    for (const d of deletedStrikes) {
+      lines.push([`"${d.side === "R" ? "Right" : "Left"}"`, Math.round(d.tMs)].join(","));
+    }
+  }
+
+  if (transitions.length > 0) {
+    lines.push("");
+    lines.push("Transitions");
+    lines.push(["Step", "Side", "Time (ms)", "From", "To", "Belt Speed (m/s)", "Belt Speed (km/h)"].join(","));
+    for (const t of transitions) {
+      lines.push([
+        t.stepNumber,
+        `"${t.side}"`,
+        Math.round(t.tMs),
+        t.from,
+        t.to,
+        fmt(t.speedMS, 3),
+        fmt(t.speedMS * 3.6, 2)
+      ].join(","));
+    }
+  }
+
+  const sm = computeSummary(rows);
+  lines.push("");
+  lines.push("Summary");
+  lines.push(["Metric", "Side", "N", "Mean", "SD", "CV (%)", "Median", "IQR"].join(","));
+  for (const st of sm.stats) {
+    lines.push([`"${st.metric.label}"`, st.side, st.n, st.mean ?? "", st.sd ?? "", st.cv ?? "", st.median ?? "", st.iqr ?? ""].join(","));
+  }
+  lines.push(`"Cadence (steps/min)",${sm.cadenceSpm ?? ""}`);
+  lines.push(`"Steps",${sm.steps}`);
+  lines.push(`"Missing steps",${sm.missing}`);
+  lines.push(`"Rejected strikes",${sm.rejected}`);
+  lines.push(`"Low-quality steps",${sm.lowQuality}`);
+  lines.push(`"Excluded from summary",${sm.excluded}`);
+  lines.push(`"Missed steps",${sm.missedSteps}`);
+  lines.push(`"Estimated strikes",${sm.estimated}`);
+  lines.push(`"Outlier steps",${sm.outliers}`);
+  lines.push(`"Strike detector",${csvText(describeStrikeDetectors())}`);
+  lines.push(`"Ground line",${csvText(describeGroundLine())}`);
+  lines.push(`"Scale",${csvText(describeScale())}`);
+  lines.push(`"Manually added strikes",${rows.filter((r) => r.edit === "added").length}`);
+  lines.push(`"Manually moved strikes",${rows.filter((r) => r.edit === "moved").length}`);
+  lines.push(`"Manually deleted strikes",${deletedStrikes.length}`);
+
+  lines.push("");
+  lines.push("Symmetry");
+  lines.push(["Metric", "Right Mean", "Left Mean", "Symmetry Index (%)", "Symmetry Angle (%)", "Ratio (R/L)"].join(","));
+  for (const x of computeSymmetry(rows)) {
+    lines.push([`"${x.metric.label}"`, x.right ?? "", x.left ?? "", x.si ?? "", x.sa ?? "", x.ratio ?? ""].join(","));
+  }
+
+  lines.push("");
+  lines.push("Stride Dynamics");
+  lines.push(["Foot", "Strides (longest run)", "Strides", "Runs", "DFA Alpha", `"Sample Entropy (m=${SAMPEN_M}, r=${SAMPEN_R} SD)"`, "SD1 (ms)", "SD2 (ms)", "SD1/SD2"].join(","));
+  for (const d of computeStrideDynamics(rows)) {
+    lines.push([d.label, d.n, d.strides, d.runs.length, d.alpha ?? "", d.sampEn ?? "", d.sd1 ?? "", d.sd2 ?? "", d.ratio ?? ""].join(","));
+  }
+
+  const rolling = computeRollingSymmetry(rows);
+  if (rolling.length > 0) {
+    lines.push("");
+    lines.push(`Rolling Symmetry Index (last ${SYMMETRY_WINDOW_STEPS} steps)`);
+    lines.push(["Step", "Time (ms)", ...SYMMETRY_METRICS.map((m) => `"SI ${m.label} (%)"`)].join(","));
+    for (const x of rolling) {
+      lines.push([x.stepNumber, Math.round(x.tMs), ...x.si.map((v) => v ?? "")].join(","));
+    }
   }
 
   const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" });
+  downloadBlob(blob, `${exportFileStem()}.csv`);
+}
+
+// ---------------- Export formats (JSON, XLSX, gait events) ----------------
+function downloadBlob(blob, fileName) {
   const a = document.createElement("a");
   a.href = URL.createObjectURL(blob);
-  a.download = `treadmill_gait_${new Date().toISOString().slice(0,19).replace(/[:T]/g,"-")}.csv`;
+  a.download = fileName;
   a.click();
 }
 
-// ---------------- Ground line + drawing ----------------
-function drawGroundOverlay() {
-  if (groundY === null) return;
-
-  ctx.save();
-
-  ctx.globalAlpha = 0.9;
-  ctx.lineWidth = 3;
-  ctx.strokeStyle = "rgba(232,236,255,0.85)";
-  ctx.beginPath();
-  ctx.moveTo(0, groundY);
-  ctx.lineTo(canvasEl.width, groundY);
-  ctx.stroke();
+// Foot strikes (table rows) and foot-offs as C3D-style events, in time order
+function collectGaitEvents() {
+  const events = rows
+    .filter((r) => isFinite(r.tMs))
+    .map((r) => ({ side: r.stepLabel, name: "Foot Strike", tMs: r.tMs, source: r.edit ?? "detected" }));
 
-  const cx = canvasEl.width / 2;
-  const cy = groundY;
-  ctx.lineWidth = 2;
-  ctx.strokeStyle = "rgba(232,236,255,0.65)";
+  const offs = toeOffEvents.length > 0
+    ? toeOffEvents.map((e) => ({ side: e.side === "R" ? "Right" : "Left", tMs: e.tMs }))
+    : rows.filter((r) => isFinite(r.toeOffMs)).map((r) => ({ side: r.stepLabel, tMs: r.toeOffMs }));
+  for (const o of offs) events.push({ side: o.side, name: "Foot Off", tMs: o.tMs, source: "detected" });
 
-  ctx.beginPath();
-  ctx.moveTo(cx - 18, cy);
-  ctx.lineTo(cx + 18, cy);
-  ctx.stroke();
+  return events.sort((a, b) => a.tMs - b.tMs);
+}
 
-  ctx.beginPath();
-  ctx.moveTo(cx, cy - 18);
-  ctx.lineTo(cx, cy + 18);
-  ctx.stroke();
+function buildResultsJSON() {
+  const sm = computeSummary(rows);
+  return {
+    format: "treadmill-gaitlab-results",
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    participant: getParticipantMeta(),
+    session: {
+      savedSessionId: currentSession?.id ?? null,
+      source: currentSession?.source ?? landmarkRecording?.source ?? null,
+      recordedAt: currentSession?.recordedAt ?? landmarkRecording?.createdAt ?? null
+    },
+    settings: exportSettings(),
+    capture: currentSession?.capture ?? capture,
+    units: { time: "ms", length: "m", speed: "m/s", angle: "deg", verticalOscillation: "cm", landingDistance: "cm" },
+    summary: {
+      steps: sm.steps,
+      cadenceSpm: sm.cadenceSpm,
+      missing: sm.missing,
+      rejected: sm.rejected,
+      lowQuality: sm.lowQuality,
+      excluded: sm.excluded,
+      missedSteps: sm.missedSteps,
+      estimated: sm.estimated,
+      outliers: sm.outliers,
+      stats: sm.stats.map(({ metric, ...st }) => ({ metric: metric.key, ...st }))
+    },
+    symmetry: computeSymmetry(rows).map(({ metric, ...x }) => ({ metric: metric.key, ...x })),
+    strideDynamics: computeStrideDynamics(rows).map(({ runs, ...d }) => ({ ...d, runs: runs.length })),
+    tracking: currentTracking(),
+    events: collectGaitEvents(),
+    deletedStrikes,
+    transitions,
+    rows,
+    cleaning: { ...getCleaningSettings(), rows: cleanedSeries(rows).rows }
+  };
+}
 
-  ctx.fillStyle = "rgba(232,236,255,0.9)";
-  ctx.font = "16px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  ctx.fillText(groundCalibrated ? "Ground (calibrated)" : "Ground (estimated)", 12, Math.max(22, groundY - 10));
+function downloadResultsJSON() {
+  if (rows.length === 0) return;
+  downloadBlob(new Blob([JSON.stringify(buildResultsJSON(), null, 2)], { type: "application/json" }), `${exportFileStem()}.json`);
+}
 
-  ctx.restore();
+// Vicon Nexus-style event list (Subject, Context, Name, Time (s)) for biomechanics tools
+function downloadGaitEvents() {
+  if (rows.length === 0) return;
+  const subject = getParticipantMeta().participantId;
+  const lines = ["Events", ["Subject", "Context", "Name", "Time (s)", "Description"].join(",")];
+  for (const e of collectGaitEvents()) {
+    lines.push([csvText(subject), e.side, csvText(e.name), (e.tMs / 1000).toFixed(3), csvText(e.source)].join(","));
+  }
+  downloadBlob(new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" }), `${exportFileStem("events")}.csv`);
 }
 
-function updateEstimatedGroundFromLandmarks(landmarks, visThresh) {
-  if (groundCalibrated) return;
+// --- Minimal XLSX writer: SpreadsheetML sheets (inline strings) in a stored (uncompressed) zip ---
+const CRC32_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
 
-  const lh = landmarks[IDX.L_HEEL];
-  const rh = landmarks[IDX.R_HEEL];
-  const goodL = lh && (lh.visibility ?? 0) >= visThresh;
-  const goodR = rh && (rh.visibility ?? 0) >= visThresh;
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
 
-  if (!goodL && !goodR) return;
+// files = [{ name, data: string | Uint8Array }] → zip bytes (method 0 = stored)
+function buildZip(files) {
+  const enc = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const parts = [], central = [];
+  let offset = 0;
+  for (const f of files) {
+    const name = enc.encode(f.name);
+    const data = typeof f.data === "string" ? enc.encode(f.data) : f.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const cd = new DataView(new ArrayBuffer(46));
+    cd.setUint32(0, 0x02014b50, true);
+    cd.setUint16(4, 20, true);
+    cd.setUint16(6, 20, true);
+    cd.setUint16(8, 0x0800, true);
+    cd.setUint16(10, 0, true);
+    cd.setUint16(12, dosTime, true);
+    cd.setUint16(14, dosDate, true);
+    cd.setUint32(16, crc, true);
+    cd.setUint32(20, data.length, true);
+    cd.setUint32(24, data.length, true);
+    cd.setUint16(28, name.length, true);
+    cd.setUint32(42, offset, true);
+    central.push(new Uint8Array(cd.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
 
-  const yL = goodL ? lh.y * canvasEl.height : null;
-  const yR = goodR ? rh.y * canvasEl.height : null;
+  const cdSize = central.reduce((a, b) => a + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, cdSize, true);
+  end.setUint32(16, offset, true);
+
+  const all = [...parts, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(all.reduce((a, b) => a + b.length, 0));
+  let pos = 0;
+  for (const b of all) {
+    out.set(b, pos);
+    pos += b.length;
+  }
+  return out;
+}
 
-  const y = (yL !== null && yR !== null) ? Math.max(yL, yR) : (yL !== null ? yL : yR);
+function xmlEscape(v) {
+  return String(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
 
-  if (groundY === null) groundY = y;
-  else groundY = 0.9 * groundY + 0.1 * y;
+function xlsxColumnName(i) {
+  let name = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
 }
 
-// ---------------- Strike Detection ----------------
-function getFootY(landmarks, side, visThresh) {
-  const aIdx = side === "R" ? IDX.R_ANKLE : IDX.L_ANKLE;
-  const hIdx = side === "R" ? IDX.R_HEEL : IDX.L_HEEL;
+// table = array of rows; numbers become numeric cells, null/"" empty, everything else text
+function xlsxSheetXml(table) {
+  const out = [];
+  table.forEach((cells, r) => {
+    const xs = [];
+    cells.forEach((v, c) => {
+      if (v === null || v === undefined || v === "") return;
+      const ref = `${xlsxColumnName(c)}${r + 1}`;
+      if (typeof v === "number") {
+        if (isFinite(v)) xs.push(`<c r="${ref}"><v>${v}</v></c>`);
+      } else {
+        xs.push(`<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`);
+      }
+    });
+    out.push(`<row r="${r + 1}">${xs.join("")}</row>`);
+  });
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${out.join("")}</sheetData></worksheet>`;
+}
 
-  const a = landmarks[aIdx];
-  const h = landmarks[hIdx];
-  if (!a || !h) return { ok: false, y: null };
+// sheets = [{ name, table }]
+function buildXlsx(sheets) {
+  const ns = "http://schemas.openxmlformats.org";
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<Types xmlns="${ns}/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("") +
+        "</Types>"
+    },
+    {
+      name: "_rels/.rels",
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<Relationships xmlns="${ns}/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+        "</Relationships>"
+    },
+    {
+      name: "xl/workbook.xml",
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>` +
+        sheets.map((sh, i) => `<sheet name="${xmlEscape(sh.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+        "</sheets></workbook>"
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<Relationships xmlns="${ns}/package/2006/relationships">` +
+        sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("") +
+        "</Relationships>"
+    },
+    ...sheets.map((sh, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: xlsxSheetXml(sh.table) }))
+  ];
+  return buildZip(files);
+}
 
-  const aVis = (a.visibility ?? 0);
-  const hVis = (h.visibility ?? 0);
-  if (aVis < visThresh || hVis < visThresh) return { ok: false, y: null };
+function buildResultsWorkbook() {
+  const sm = computeSummary(rows);
+
+  const info = [["Treadmill Gait Lab"], ...describeSessionMeta()];
+
+  const stepTable = (rs) => [ROW_COLUMNS.map((c) => c.header), ...rs.map((r) => ROW_COLUMNS.map((c) => (c.value ? c.value(r) : r[c.key] ?? null)))];
+  const steps = stepTable(rows);
+  const cleaned = cleanedSeries(rows).rows;
+
+  const summary = [["Metric", "Side", "N", "Mean", "SD", "CV (%)", "Median", "IQR"]];
+  for (const st of sm.stats) summary.push([st.metric.label, st.side, st.n, st.mean, st.sd, st.cv, st.median, st.iqr]);
+  summary.push([], ["Cadence (steps/min)", sm.cadenceSpm], ["Steps", sm.steps], ["Missing steps", sm.missing], ["Rejected strikes", sm.rejected]);
+  summary.push(["Low-quality steps", sm.lowQuality], ["Missed steps", sm.missedSteps], ["Estimated strikes", sm.estimated], ["Outlier steps", sm.outliers]);
+  summary.push([], ["Symmetry", "Right Mean", "Left Mean", "Symmetry Index (%)", "Symmetry Angle (%)", "Ratio (R/L)"]);
+  for (const x of computeSymmetry(rows)) summary.push([x.metric.label, x.right, x.left, x.si, x.sa, x.ratio]);
+
+  const events = [["Context", "Name", "Time (s)", "Description"]];
+  for (const e of collectGaitEvents()) events.push([e.side, e.name, Number((e.tMs / 1000).toFixed(3)), e.source]);
+
+  // Per-frame signals the strike detection saw (pixels, y down) and joint angles
+  const frames = [[
+    "Time (ms)", "Ground Y (px)", "Hip Y (px)", "R Foot Signal (px)", "L Foot Signal (px)",
+    "R Hip (deg)", "R Knee (deg)", "R Ankle (deg)", "L Hip (deg)", "L Knee (deg)", "L Ankle (deg)"
+  ]];
+  for (const f of frameTrace) {
+    frames.push([
+      Math.round(f.tMs), f.groundY, f.hipY, f.ySm.R, f.ySm.L,
+      f.angles.R?.hip ?? null, f.angles.R?.knee ?? null, f.angles.R?.ankle ?? null,
+      f.angles.L?.hip ?? null, f.angles.L?.knee ?? null, f.angles.L?.ankle ?? null
+    ]);
+  }
 
-  const yPix = ((a.y + h.y) / 2) * canvasEl.height;
-  return { ok: true, y: yPix };
+  return buildXlsx([
+    { name: "Info", table: info },
+    { name: "Steps", table: steps },
+    ...(cleaned !== rows ? [{ name: "Cleaned Steps", table: stepTable(cleaned) }] : []),
+    { name: "Summary", table: summary },
+    { name: "Events", table: events },
+    { name: "Frames", table: frames }
+  ]);
 }
 
-function detectStrike(side, tMs, yPix, minStrikeMs, smoothN, groundTolPx) {
-  const st = footState[side];
+function downloadResultsXlsx() {
+  if (rows.length === 0) return;
+  const blob = new Blob([buildResultsWorkbook()], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+  downloadBlob(blob, `${exportFileStem()}.xlsx`);
+}
 
-  st.yHist.push(yPix);
-  if (st.yHist.length > 80) st.yHist.shift();
+// ---------------- Gait report (printable HTML + PDF) ----------------
+const REPORT_KEYFRAME_STEP = 6; // keyframe = overlay at this strike (past the first, often unsteady, steps)
 
-  const ySm = movingAverage(st.yHist, smoothN);
-  st.ySmHist.push(ySm);
-  if (st.ySmHist.length > 80) st.ySmHist.shift();
+// { dataUrl (JPEG), tMs, side, width, height, recordedAt } of the current capture
+let reportKeyframe = null;
 
-  if (st.ySmHist.length < 5) return false;
+// Snapshot of the live/upload canvas (video + pose overlay) right after a heel strike was registered
+function captureReportKeyframe(row) {
+  if (reportKeyframe || rows.length < REPORT_KEYFRAME_STEP) return;
+  try {
+    reportKeyframe = {
+      dataUrl: canvasEl.toDataURL("image/jpeg", 0.85),
+      tMs: row.tMs,
+      side: row.stepLabel,
+      width: canvasEl.width,
+      height: canvasEl.height,
+      recordedAt: landmarkRecording?.createdAt ?? null
+    };
+  } catch (e) {
+    console.error(e);
+    setStatus(`Report keyframe not captured (the report will have no image): ${e?.message || e}`);
+  }
+}
 
-  const n = st.ySmHist.length;
-  const y2 = st.ySmHist[n - 3];
-  const y1 = st.ySmHist[n - 2];
-  const y0 = st.ySmHist[n - 1];
+function meanSd(values, digits) {
+  const d = describe(values);
+  if (d.n === 0) return "—";
+  return d.sd === null ? fmt(d.mean, digits) : `${fmt(d.mean, digits)} ± ${fmt(d.sd, digits)}`;
+}
 
-  const isLocalMax = (y1 > y2 && y1 > y0);
-  if (!isLocalMax) return false;
+// Everything the report shows, shared by the HTML page and the PDF
+function buildReportModel() {
+  const sm = computeSummary(rows);
+  const settings = exportSettings();
+  const meta = getParticipantMeta();
+  const session = describeSessionMeta().filter(([label]) => !["Participant ID", "Exported", "Strike times"].includes(label));
+  const summarySteps = summaryRows(rows);
+
+  const summary = SUMMARY_METRICS.map((m) => {
+    const pick = (side) => summarySteps.filter(side.match).map((r) => r[m.key]);
+    const all = describe(pick(SUMMARY_SIDES[0]));
+    return [m.label, ...SUMMARY_SIDES.map((side) => meanSd(pick(side), m.digits)), fmt(all.cv, 1) || "—"];
+  });
+  summary.push(["Cadence (steps/min)", fmt(sm.cadenceSpm, 1) || "—", "", "", ""]);
+
+  const symmetry = computeSymmetry(rows).map((x) => [
+    x.metric.label, fmt(x.right, x.metric.digits) || "—", fmt(x.left, x.metric.digits) || "—", fmt(x.si, 1) || "—", fmt(x.sa, 1) || "—"
+  ]);
+
+  return {
+    title: "Gait Report",
+    subtitle: `${meta.participantId || "Participant"}${meta.condition ? ` · ${meta.condition}` : ""} · ${new Date().toLocaleString()}`,
+    info: [["Participant ID", meta.participantId || "—"], ...session.map(([k, v]) => [k, v === "" ? "—" : String(v)])],
+    capture: [
+      `${sm.steps} steps (${sm.missing} without step/stride time, ${sm.rejected} strikes rejected, ` +
+        `${sm.lowQuality} low quality${sm.excluded ? `, ${sm.excluded} excluded from the summary` : ""}, ` +
+        `${sm.missedSteps} missed, ${sm.outliers} outliers)`,
+      `Capture: ${describeCaptureTarget(currentSession?.capture ?? capture ?? getCaptureConfig())}`,
+      settings.protocol ? "Speed-ramp protocol (belt speed per step)" : `Belt speed ${fmt(settings.speedMS, 2)} m/s`
+    ],
+    summaryHead: ["Metric", ...SUMMARY_SIDES.map((s) => `${s.label} (mean ± SD)`), "CV All (%)"],
+    summary,
+    symmetryHead: ["Metric", "Right", "Left", "SI (%)", "SA (%)"],
+    symmetry,
+    stepSeries: ["Right", "Left"].map((label) => ({
+      label,
+      color: label === "Right" ? [230, 90, 70] : [60, 130, 220],
+      points: summarySteps.map((r, i) => [i + 1, r.stepLabel === label ? r.stepTimeMs : null]).filter(([, v]) => v !== null && isFinite(v))
+    })),
+    steps: summarySteps.length,
+    keyframe: reportKeyframe
+  };
+}
 
-  const dyPrev = y1 - y2;
-  const dyNext = y0 - y1;
-  const hasSignChange = (dyPrev > 0 && dyNext < 0);
-  if (!hasSignChange) return false;
+function htmlEscape(v) {
+  return String(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
 
-  if (groundY !== null) {
-    const nearGround = Math.abs(y1 - groundY) <= groundTolPx;
-    if (!nearGround) return false;
-  }
+function reportStepChartSvg(model, W = 680, H = 200) {
+  const pad = { l: 48, r: 12, t: 12, b: 28 };
+  const pts = model.stepSeries.flatMap((s) => s.points);
+  if (pts.length === 0) return "<p>No step times.</p>";
+  let lo = Math.min(...pts.map((p) => p[1])), hi = Math.max(...pts.map((p) => p[1]));
+  const span = Math.max(20, hi - lo);
+  lo -= span * 0.1;
+  hi += span * 0.1;
+  const px = (n) => pad.l + ((n - 1) / Math.max(1, model.steps - 1)) * (W - pad.l - pad.r);
+  const py = (v) => H - pad.b - ((v - lo) / (hi - lo)) * (H - pad.t - pad.b);
+
+  const lines = model.stepSeries.map((s) => {
+    const rgb = `rgb(${s.color.join(",")})`;
+    const path = s.points.map(([n, v], i) => `${i ? "L" : "M"}${px(n).toFixed(1)},${py(v).toFixed(1)}`).join(" ");
+    const dots = s.points.map(([n, v]) => `<circle cx="${px(n).toFixed(1)}" cy="${py(v).toFixed(1)}" r="2.5" fill="${rgb}"/>`).join("");
+    return `<path d="${path}" fill="none" stroke="${rgb}" stroke-width="1.5"/>${dots}`;
+  }).join("");
+
+  return `<svg viewBox="0 0 ${W} ${H}" width="100%" role="img" aria-label="Step time per step">` +
+    `<rect x="${pad.l}" y="${pad.t}" width="${W - pad.l - pad.r}" height="${H - pad.t - pad.b}" fill="none" stroke="#bbb"/>` +
+    `<text x="4" y="${pad.t + 10}" font-size="11">${Math.round(hi)} ms</text>` +
+    `<text x="4" y="${H - pad.b}" font-size="11">${Math.round(lo)} ms</text>` +
+    `<text x="${pad.l}" y="${H - 8}" font-size="11">step 1 → ${model.steps} · Right red, Left blue</text>` +
+    `${lines}</svg>`;
+}
 
-  if (st.tLastStrike !== null && (tMs - st.tLastStrike) < minStrikeMs) return false;
+function reportTableHtml(head, body) {
+  return `<table><thead><tr>${head.map((h) => `<th>${htmlEscape(h)}</th>`).join("")}</tr></thead><tbody>` +
+    body.map((cells) => `<tr>${cells.map((c) => `<td>${htmlEscape(c)}</td>`).join("")}</tr>`).join("") +
+    "</tbody></table>";
+}
 
-  if (st.lastMaxTime !== null && (tMs - st.lastMaxTime) < Math.max(120, minStrikeMs * 0.5)) return false;
+function buildReportHtml(model) {
+  const kf = model.keyframe;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${htmlEscape(`${model.title} – ${model.subtitle}`)}</title>
+<style>
+  @page { size: A4; margin: 12mm; }
+  body { font: 12px/1.35 system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; color: #111; margin: 0 auto; max-width: 760px; padding: 12px; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 14px; margin: 14px 0 4px; border-bottom: 1px solid #ccc; }
+  .sub { color: #555; margin: 2px 0 10px; }
+  .top { display: grid; grid-template-columns: 1fr 300px; gap: 14px; align-items: start; }
+  .top img { width: 100%; border: 1px solid #ccc; }
+  .caption { color: #555; font-size: 11px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 2px 6px; border-bottom: 1px solid #e4e4e4; }
+  dl { display: grid; grid-template-columns: 140px 1fr; gap: 1px 8px; margin: 0; }
+  dt { color: #555; }
+  dd { margin: 0; }
+  .noprint { margin-top: 14px; }
+  @media print { .noprint { display: none; } }
+</style>
+</head>
+<body>
+<h1>${htmlEscape(model.title)}</h1>
+<p class="sub">${htmlEscape(model.subtitle)}</p>
+<div class="top">
+  <div>
+    <h2>Participant &amp; session</h2>
+    <dl>${model.info.map(([k, v]) => `<dt>${htmlEscape(k)}</dt><dd>${htmlEscape(v)}</dd>`).join("")}</dl>
+    <h2>Capture</h2>
+    ${model.capture.map((line) => `<div>${htmlEscape(line)}</div>`).join("")}
+  </div>
+  <div>${kf
+    ? `<img src="${kf.dataUrl}" alt="Keyframe at a heel strike" /><div class="caption">${htmlEscape(kf.side)} heel strike at ${fmt(kf.tMs / 1000, 2)} s</div>`
+    : '<div class="caption">No keyframe (captured during live/upload analysis only).</div>'}</div>
+</div>
+<h2>Summary</h2>
+${reportTableHtml(model.summaryHead, model.summary)}
+<h2>Left/Right symmetry</h2>
+${reportTableHtml(model.symmetryHead, model.symmetry)}
+<h2>Step time</h2>
+${reportStepChartSvg(model)}
+<p class="noprint"><button onclick="print()">Print / Save as PDF</button></p>
+</body>
+</html>`;
+}
 
-  st.lastMaxTime = tMs;
-  return true;
+function openReportHtml() {
+  if (rows.length === 0) return;
+  const blob = new Blob([buildReportHtml(buildReportModel())], { type: "text/html;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  if (!window.open(url, "_blank")) downloadBlob(blob, `${exportFileStem("report")}.html`);
 }
 
-// ---------------- IMPORTANT: UPDATED registerStrike (step time/length fix + Right/Left labels) ----------------
-function registerStrike(side, tMs) {
-  const vMS = getSpeedMS();
-  const st = footState[side];
+// --- Minimal one-page PDF writer: Helvetica (WinAnsi), vector lines, optional baseline JPEG ---
+const PDF_CHAR_MAP = { "–": "\x96", "—": "\x97", "’": "\x92", "‘": "\x91", "“": "\x93", "”": "\x94", "…": "\x85", "→": "->", "Δ": "d", "≥": ">=", "≤": "<=" };
+
+function pdfText(v) {
+  return Array.from(String(v), (ch) => {
+    if (PDF_CHAR_MAP[ch]) return PDF_CHAR_MAP[ch];
+    return ch.charCodeAt(0) <= 0xff ? ch : "?";
+  }).join("").replace(/[\\()]/g, (m) => `\\${m}`);
+}
 
-  // global refractory (avoid double-count in same instant)
-  if (lastAnyStrike && (tMs - lastAnyStrike.tMs) < 120) return;
+function pdfBytes(str) {
+  const out = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) out[i] = str.charCodeAt(i) & 0xff;
+  return out;
+}
 
-  // ----- STRIDE (same foot) -----
-  let strideTimeMs = null, strideLenM = null, strideFreqHz = null;
-  if (st.tLastStrike !== null) {
-    strideTimeMs = tMs - st.tLastStrike;
-    const strideTimeSec = strideTimeMs / 1000.0;
-    if (strideTimeSec > 0) {
-      strideFreqHz = 1.0 / strideTimeSec;
-      strideLenM = vMS * strideTimeSec;
+function jpegSize(bytes) {
+  for (let i = 2; i + 9 < bytes.length; ) {
+    if (bytes[i] !== 0xff) return null;
+    const marker = bytes[i + 1];
+    const len = (bytes[i + 2] << 8) | bytes[i + 3];
+    if (marker >= 0xc0 && marker <= 0xc3) {
+      return { height: (bytes[i + 5] << 8) | bytes[i + 6], width: (bytes[i + 7] << 8) | bytes[i + 8] };
     }
+    i += 2 + len;
   }
-  st.tLastStrike = tMs;
+  return null;
+}
 
-  // ----- STEP (opposite foot) -----
-  const opp = (side === "R") ? "L" : "R";
-  let stepTimeMs = null, stepLenM = null;
+function dataUrlBytes(dataUrl) {
+  const bin = atob(dataUrl.slice(dataUrl.indexOf(",") + 1));
+  return pdfBytes(bin);
+}
 
-  if (lastStrikeTime[opp] !== null) {
-    stepTimeMs = tMs - lastStrikeTime[opp];
-    const stepTimeSec = stepTimeMs / 1000.0;
-    if (stepTimeSec > 0) stepLenM = vMS * stepTimeSec;
+function buildReportPdf(model) {
+  const W = 595, H = 842, M = 40; // A4 in points
+  const ops = [];
+  const text = (x, y, str, size = 9, bold = false) => ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${x} ${y} Td (${pdfText(str)}) Tj ET`);
+  const rule = (y) => ops.push(`0.8 G 0.5 w ${M} ${y} m ${W - M} ${y} l S`);
+  const clip = (str, n) => (String(str).length > n ? `${String(str).slice(0, n - 1)}…` : String(str));
+
+  let y = H - M - 10;
+  text(M, y, model.title, 18, true);
+  y -= 16;
+  text(M, y, model.subtitle, 9);
+
+  // Keyframe (top right)
+  let image = null;
+  if (model.keyframe) {
+    const bytes = dataUrlBytes(model.keyframe.dataUrl);
+    const size = jpegSize(bytes);
+    if (size) {
+      const w = 230, h = Math.min(180, (w * size.height) / size.width);
+      const iw = (h * size.width) / size.height;
+      image = { bytes, ...size };
+      ops.push(`q ${iw.toFixed(2)} 0 0 ${h.toFixed(2)} ${(W - M - iw).toFixed(2)} ${(H - M - 30 - h).toFixed(2)} cm /Im1 Do Q`);
+      text(W - M - iw, H - M - 42 - h, `${model.keyframe.side} heel strike at ${fmt(model.keyframe.tMs / 1000, 2)} s`, 8);
+    }
   }
 
-  // update last strike time for this foot
-  lastStrikeTime[side] = tMs;
-
-  // keep a reference time for global refractory only
-  lastAnyStrike = { side, tMs };
+  y -= 22;
+  text(M, y, "Participant & session", 11, true);
+  for (const [k, v] of model.info) {
+    y -= 12;
+    text(M, y, k, 8.5);
+    text(M + 95, y, clip(v, image ? 40 : 90), 8.5);
+  }
+  y -= 18;
+  text(M, y, "Capture", 11, true);
+  for (const line of model.capture) {
+    y -= 12;
+    text(M, y, clip(line, image ? 60 : 110), 8.5);
+  }
+  y = Math.min(y, H - M - 250);
+
+  const table = (title, head, body, cols) => {
+    y -= 22;
+    text(M, y, title, 11, true);
+    y -= 14;
+    head.forEach((h, i) => text(M + cols[i], y, h, 8, true));
+    y -= 3;
+    rule(y);
+    for (const cells of body) {
+      y -= 11;
+      cells.forEach((c, i) => text(M + cols[i], y, c, 8));
+    }
+  };
+  table("Summary", model.summaryHead, model.summary, [0, 130, 235, 340, 445]);
+  table("Left/Right symmetry", model.symmetryHead, model.symmetry, [0, 130, 215, 300, 385]);
+
+  // Step time chart
+  y -= 26;
+  text(M, y, "Step time", 11, true);
+  const ch = { x: M + 36, y: M + 20, w: W - 2 * M - 36, h: Math.max(80, y - 12 - (M + 20)) };
+  ops.push(`0.6 G 0.5 w ${ch.x} ${ch.y} ${ch.w} ${ch.h} re S`);
+  const pts = model.stepSeries.flatMap((s) => s.points);
+  if (pts.length > 0) {
+    let lo = Math.min(...pts.map((p) => p[1])), hi = Math.max(...pts.map((p) => p[1]));
+    const span = Math.max(20, hi - lo);
+    lo -= span * 0.1;
+    hi += span * 0.1;
+    const px = (n) => ch.x + ((n - 1) / Math.max(1, model.steps - 1)) * ch.w;
+    const py = (v) => ch.y + ((v - lo) / (hi - lo)) * ch.h;
+    for (const s of model.stepSeries) {
+      if (s.points.length === 0) continue;
+      const [r, g, b] = s.color.map((c) => (c / 255).toFixed(3));
+      ops.push(`${r} ${g} ${b} RG ${r} ${g} ${b} rg 1 w`);
+      ops.push(s.points.map(([n, v], i) => `${px(n).toFixed(2)} ${py(v).toFixed(2)} ${i ? "l" : "m"}`).join(" ") + " S");
+      for (const [n, v] of s.points) ops.push(`${(px(n) - 1.5).toFixed(2)} ${(py(v) - 1.5).toFixed(2)} 3 3 re f`);
+    }
+    ops.push("0 g");
+    text(M, ch.y + ch.h - 8, `${Math.round(hi)}`, 7);
+    text(M, ch.y, `${Math.round(lo)} ms`, 7);
+  }
+  ops.push("0 g");
+  text(ch.x, M + 6, `step 1 → ${model.steps} · Right red, Left blue`, 7);
+
+  // Objects: 1 catalog, 2 pages, 3 page, 4/5 fonts, 6 content, 7 image
+  const content = ops.join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${W} ${H}] /Contents 6 0 R ` +
+      `/Resources << /Font << /F1 4 0 R /F2 5 0 R >>${image ? " /XObject << /Im1 7 0 R >>" : ""} >> >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    { dict: `<< /Length ${content.length} >>`, stream: pdfBytes(content) }
+  ];
+  if (image) {
+    objects.push({
+      dict: `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`,
+      stream: image.bytes
+    });
+  }
 
-  stepCount += 1;
-  const label = (side === "R") ? "Right" : "Left";
-
-  addRowToTable({
-    stepLabel: label,
-    stepTimeMs,
-    stepLenM,
-    strideTimeMs,
-    strideLenM,
-    strideFreqHz
+  const parts = [pdfBytes("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n")];
+  const offsets = [];
+  let pos = parts[0].length;
+  objects.forEach((obj, i) => {
+    offsets.push(pos);
+    const chunk = typeof obj === "string"
+      ? [pdfBytes(`${i + 1} 0 obj\n${obj}\nendobj\n`)]
+      : [pdfBytes(`${i + 1} 0 obj\n${obj.dict}\nstream\n`), obj.stream, pdfBytes("\nendstream\nendobj\n")];
+    for (const c of chunk) {
+      parts.push(c);
+      pos += c.length;
+    }
   });
+  const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`, ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`)].join("");
+  parts.push(pdfBytes(`${xref}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${pos}\n%%EOF\n`));
+
+  const out = new Uint8Array(parts.reduce((a, b) => a + b.length, 0));
+  let k = 0;
+  for (const p of parts) {
+    out.set(p, k);
+    k += p.length;
+  }
+  return out;
+}
 
-  lastSideEl.textContent = label;
-  if (strideFreqHz !== null && isFinite(strideFreqHz)) lastFreqEl.textContent = fmt(strideFreqHz, 3);
+function downloadReportPdf() {
+  if (rows.length === 0) return;
+  downloadBlob(new Blob([buildReportPdf(buildReportModel())], { type: "application/pdf" }), `${exportFileStem("report")}.pdf`);
+}
 
-  if (stepCount >= 20) {
-    if (usingUpload) {
-      stopAll(true);
-      setStatus("Upload analysis finished (20 steps)");
-    } else {
-      stopAnalysisOnly();
-      setStatus("Analysis finished (20 steps). You can Analyze again.");
-    }
-  }
+// ---------------- Ground line + drawing ----------------
+// Ground height under image x (px)
+function groundYAt(xPix) {
+  return groundY + groundSlope * (xPix - canvasEl.width / 2);
 }
 
-// ---------------- Drawing ----------------
-function drawResults(results) {
-  updateCanvasSize();
+function describeGroundLine(y = groundY, slope = groundSlope, calibrated = groundCalibrated) {
+  if (y === null) return "none";
+  return `${calibrated ? "calibrated" : "estimated"} · ${fmtInt(y)} px at centre · ${fmt(Math.atan(slope) * DEG, 1)}°`;
+}
+
+function drawGroundOverlay() {
+  for (const p of overlayPick?.points ?? []) {
+    ctx.fillStyle = "rgba(0,255,200,0.95)";
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 6, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+
+  if (groundY === null) return;
 
   ctx.save();
-  ctx.clearRect(0, 0, canvasEl.width, canvasEl.height);
 
-  ctx.drawImage(results.image, 0, 0, canvasEl.width, canvasEl.height);
+  ctx.globalAlpha = 0.9;
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = "rgba(232,236,255,0.85)";
+  ctx.beginPath();
+  ctx.moveTo(0, groundYAt(0));
+  ctx.lineTo(canvasEl.width, groundYAt(canvasEl.width));
+  ctx.stroke();
+
+  const cx = canvasEl.width / 2;
+  const cy = groundY;
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = "rgba(232,236,255,0.65)";
+
+  ctx.beginPath();
+  ctx.moveTo(cx - 18, cy);
+  ctx.lineTo(cx + 18, cy);
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.moveTo(cx, cy - 18);
+  ctx.lineTo(cx, cy + 18);
+  ctx.stroke();
+
+  ctx.fillStyle = "rgba(232,236,255,0.9)";
+  ctx.font = "16px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+  const tilt = groundSlope !== 0 ? `, ${fmt(Math.atan(groundSlope) * DEG, 1)}°` : "";
+  ctx.fillText(`${groundCalibrated ? "Ground (calibrated" : "Ground (estimated"}${tilt})`, 12, Math.max(22, groundYAt(12) - 10));
+
+  ctx.restore();
+}
+
+function updateEstimatedGroundFromLandmarks(landmarks, visThresh) {
+  if (groundCalibrated) return;
+  groundY = estimateGroundY(groundY, landmarks, visThresh, analysisFrame());
+}
+
+// Image geometry, ground line and belt at the current frame, for the analysis core
+function analysisFrame() {
+  return {
+    width: canvasEl.width,
+    height: canvasEl.height,
+    groundY,
+    groundSlope,
+    speedMS: getSpeedMS(),
+    stage: protocol ? protocol.stageIndex + 1 : null
+  };
+}
+
+// ---------------- Joint Angles ----------------
+// Per-frame hip/knee/ankle angles come from the analysis core (computeFrameAngles)
+function recordAngleFrame(tMs) {
+  if (!recordAnglesInput.checked || !frameAngles) return;
+  angleFrames.push({ tMs, forward: frameAngles.forward, R: frameAngles.R, L: frameAngles.L });
+  downloadAnglesBtn.disabled = false;
+}
+
+function resetAngleState() {
+  frameAngles = null;
+  angleFrames.length = 0;
+  downloadAnglesBtn.disabled = true;
+}
+
+function downloadAnglesCSV() {
+  if (angleFrames.length === 0) return;
+
+  const lines = [[
+    "Time (ms)",
+    "Forward (+1 = image right)",
+    "R Hip (deg)", "R Knee (deg)", "R Ankle (deg)",
+    "L Hip (deg)", "L Knee (deg)", "L Ankle (deg)"
+  ].map((h) => `"${h}"`).join(",")];
+
+  for (const f of angleFrames) {
+    lines.push([
+      Math.round(f.tMs),
+      f.forward,
+      f.R?.hip ?? "", f.R?.knee ?? "", f.R?.ankle ?? "",
+      f.L?.hip ?? "", f.L?.knee ?? "", f.L?.ankle ?? ""
+    ].join(","));
+  }
+
+  const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" });
+  downloadBlob(blob, `${exportFileStem("angles")}.csv`);
+}
+
+// ---------------- Landmark recording ----------------
+// Every analyzed frame of a capture: timestamp, ground line and all 33 landmarks as
+// [x, y, z, visibility] (normalized image coordinates), or null when no pose was found.
+// Settings in effect right now, in the shape stored with recordings, sessions and exports
+function currentSettings() {
+  const det = getDetectionSettings();
+  return {
+    speedMS: getSpeedMS(),
+    speedInput: Number(speedInput.value || 0),
+    speedUnit: speedUnitSelect.value,
+    minStrikeMs: det.minStrikeMs,
+    smoothN: det.smoothN,
+    visThresh: det.visThresh,
+    groundTolPx: det.groundTolPx,
+    strikeDetector: det.detector,
+    pose: getPoseSettings(),
+    groundY,
+    groundSlope,
+    groundCalibrated,
+    pxPerM,
+    scaleSource,
+    protocol: null
+  };
+}
+
+function startLandmarkRecording(source) {
+  landmarkRecording = {
+    format: "treadmill-gaitlab-landmarks",
+    version: 1,
+    createdAt: new Date().toISOString(),
+    source,
+    frameWidth: null,
+    frameHeight: null,
+    settings: currentSettings(),
+    landmarkNames: LANDMARK_NAMES,
+    frames: []
+  };
+  downloadLandmarksCsvBtn.disabled = true;
+  downloadLandmarksJsonBtn.disabled = true;
+}
+
+function recordLandmarkFrame(tMs, landmarks) {
+  if (!landmarkRecording) return;
+
+  if (landmarkRecording.frameWidth === null) {
+    landmarkRecording.frameWidth = canvasEl.width;
+    landmarkRecording.frameHeight = canvasEl.height;
+  }
+
+  landmarkRecording.frames.push({
+    tMs,
+    groundY,
+    landmarks: landmarks ? landmarks.map((p) => [p.x, p.y, p.z ?? 0, p.visibility ?? 0]) : null
+  });
+  downloadLandmarksCsvBtn.disabled = false;
+  downloadLandmarksJsonBtn.disabled = false;
+}
+
+// [x, y, z, visibility] arrays of a recorded frame → MediaPipe-style landmark objects
+function landmarksFromRecord(frameLandmarks) {
+  return frameLandmarks.map(([x, y, z, visibility]) => ({ x, y, z, visibility }));
+}
+
+// Ground line as it ended up (estimated lines keep adapting during the capture);
+// a line calibrated after the capture does not belong to the recording.
+function finalizedLandmarkRecording() {
+  const last = landmarkRecording.frames.at(-1);
+  return {
+    ...landmarkRecording,
+    settings: { ...landmarkRecording.settings, groundY: last ? last.groundY : landmarkRecording.settings.groundY }
+  };
+}
+
+function recordingFileStem() {
+  return exportFileStem("landmarks");
+}
+
+function downloadLandmarksJSON() {
+  if (!landmarkRecording || landmarkRecording.frames.length === 0) return;
+
+  const blob = new Blob([JSON.stringify(finalizedLandmarkRecording())], { type: "application/json" });
+  downloadBlob(blob, `${recordingFileStem()}.json`);
+}
+
+function downloadLandmarksCSV() {
+  if (!landmarkRecording || landmarkRecording.frames.length === 0) return;
+
+  const rec = finalizedLandmarkRecording();
+  const header = ["Time (ms)", "Ground Y (px)"];
+  for (const name of LANDMARK_NAMES) header.push(`${name}_x`, `${name}_y`, `${name}_z`, `${name}_vis`);
+
+  const lines = [header.join(",")];
+  for (const f of rec.frames) {
+    const vals = f.landmarks ? f.landmarks.flat() : LANDMARK_NAMES.flatMap(() => ["", "", "", ""]);
+    lines.push([f.tMs, f.groundY ?? "", ...vals].join(","));
+  }
+
+  lines.push("");
+  lines.push("Settings");
+  lines.push(`"Source",${csvText(rec.source)}`);
+  lines.push(`"Recorded",${rec.createdAt}`);
+  lines.push(`"Frame width (px)",${rec.frameWidth ?? ""}`);
+  lines.push(`"Frame height (px)",${rec.frameHeight ?? ""}`);
+  lines.push(`"Speed (m/s)",${rec.settings.speedMS}`);
+  lines.push(`"Min strike interval (ms)",${rec.settings.minStrikeMs}`);
+  lines.push(`"Smoothing window (frames)",${rec.settings.smoothN}`);
+  lines.push(`"Visibility threshold",${rec.settings.visThresh}`);
+  lines.push(`"Ground tolerance (px)",${rec.settings.groundTolPx}`);
+  lines.push(`"Strike detector",${csvText(getStrikeDetector(rec.settings.strikeDetector).label)}`);
+  lines.push(`"Ground Y (px)",${rec.settings.groundY ?? ""}`);
+  lines.push(`"Ground slope (px/px)",${rec.settings.groundSlope ?? 0}`);
+  lines.push(`"Scale (px/m)",${rec.settings.pxPerM ?? ""}`);
+  lines.push(`"Ground calibrated",${rec.settings.groundCalibrated}`);
+  if (rec.settings.protocol) {
+    lines.push(`"Protocol stage (s)",${rec.settings.protocol.stageMs / 1000}`);
+    lines.push(`"Protocol speeds (m/s)",${csvText(rec.settings.protocol.stages.map((st) => st.speedMS).join(" "))}`);
+  }
+
+  const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" });
+  downloadBlob(blob, `${recordingFileStem()}.csv`);
+}
+
+// ---------------- Re-analysis (recorded landmarks, no MediaPipe) ----------------
+function isLandmarkRecording(obj) {
+  return !!obj && obj.format === "treadmill-gaitlab-landmarks" && Array.isArray(obj.frames) &&
+    !!obj.settings && typeof obj.settings === "object";
+}
+
+function describeDetectionSettings(det) {
+  return `${getStrikeDetector(det.detector).label} · min strike ${fmtInt(det.minStrikeMs)} ms · smoothing ${det.smoothN} · visibility ${fmt(det.visThresh, 2)} · ground tol ${fmtInt(det.groundTolPx)} px`;
+}
+
+// Replays a recording through the same per-frame analysis as a live capture, using the
+// recorded ground line (unless `ground` = { groundY, groundSlope } replaces it), frame size,
+// belt speed and protocol. Results land in `rows`.
+function replayRecording(rec, det, ground = null) {
+  const keyframe = reportKeyframe;
+  resetAnalysisMetricsOnly();
+  if (keyframe && keyframe.recordedAt === rec.createdAt) reportKeyframe = keyframe; // same capture, same footage
+  capture = { ...capture, mode: "whole" }; // every recorded frame, no step/duration cut-off
+
+  canvasEl.width = rec.frameWidth || 1280;
+  canvasEl.height = rec.frameHeight || 720;
+
+  const savedGround = { groundY, groundSlope, groundCalibrated };
+  const savedPxPerM = engine.pxPerM;
+  groundSlope = ground ? ground.groundSlope : (rec.settings.groundSlope ?? 0);
+  // the recording's scale measures this replay only; the scale setting stays as it is
+  if (!pxPerM && rec.settings.pxPerM) engine.pxPerM = rec.settings.pxPerM;
+  replaySpeedMS = rec.settings.speedMS ?? null;
+  const proto = rec.settings.protocol;
+  protocol = proto ? { stages: proto.stages, stageMs: proto.stageMs, startT: null, stageIndex: 0 } : null;
+
+  try {
+    for (const f of rec.frames) {
+      if (protocol) {
+        if (protocol.startT === null) protocol.startT = f.tMs;
+        protocol.stageIndex = clamp(Math.floor((f.tMs - protocol.startT) / protocol.stageMs), 0, protocol.stages.length - 1);
+      }
+      groundY = ground ? ground.groundY : (f.groundY ?? rec.settings.groundY ?? null);
+      analyzeLandmarkFrame(f.landmarks ? landmarksFromRecord(f.landmarks) : null, f.tMs, det);
+    }
+  } finally {
+    protocol = null;
+    replaySpeedMS = null;
+    groundY = savedGround.groundY;
+    groundSlope = savedGround.groundSlope;
+    groundCalibrated = savedGround.groundCalibrated;
+    engine.pxPerM = savedPxPerM;
+  }
+
+  landmarkRecording = rec; // keep the source exportable
+  return rows.map((r) => ({ ...r }));
+}
+
+function renderReanalysisTable(body, summaryEl, rs) {
+  body.innerHTML = "";
+  rs.forEach((r, i) => {
+    const tr = document.createElement("tr");
+    const cells = [String(i + 1), r.stepLabel, fmt(r.tMs / 1000, 3), fmtInt(r.stepTimeMs), fmtInt(r.strideTimeMs), fmtInt(r.contactMs)];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    body.appendChild(tr);
+  });
+
+  const st = describe(rs.map((r) => r.stepTimeMs));
+  const sd = describe(rs.map((r) => r.strideTimeMs));
+  summaryEl.textContent =
+    `${rs.length} steps · step time ${fmtInt(st.mean) || "—"} ± ${fmtInt(st.sd) || "—"} ms · ` +
+    `stride time ${fmtInt(sd.mean) || "—"} ± ${fmtInt(sd.sd) || "—"} ms`;
+}
+
+function setReanalysisSource(rec, label) {
+  reanalysisSource = rec;
+  reanalyzeBtn.disabled = false;
+  const frames = rec.frames.length;
+  const posed = rec.frames.filter((f) => f.landmarks).length;
+  reanalysisInfoEl.textContent =
+    `${label}: ${rec.source || "recording"} · ${frames} frames (${posed} with pose) · ` +
+    `recorded with ${describeDetectionSettings({ ...rec.settings, detector: rec.settings.strikeDetector })} · ` +
+    `ground ${describeGroundLine(rec.settings.groundY ?? null, rec.settings.groundSlope ?? 0, rec.settings.groundCalibrated)}.`;
+}
+
+// Before = the recording's own settings, after = the current Inputs card settings.
+// The main table and summaries show the "after" result.
+function runReanalysis() {
+  if (!reanalysisSource) return;
+  if (runningLoop) {
+    setStatus("Stop the camera or upload before re-analyzing.");
+    return;
+  }
+
+  const rec = reanalysisSource;
+  const det = getDetectionSettings();
+  // a ground line calibrated since the recording replaces the recorded one
+  const ground = groundCalibrated && groundY !== null ? { groundY, groundSlope } : null;
+  let before, after;
+  try {
+    before = replayRecording(rec, {
+      visThresh: rec.settings.visThresh,
+      minStrikeMs: rec.settings.minStrikeMs,
+      smoothN: rec.settings.smoothN,
+      groundTolPx: rec.settings.groundTolPx,
+      detector: rec.settings.strikeDetector ?? "ankleHeel" // recordings from before the detector choice
+    });
+    after = replayRecording(rec, det, ground);
+  } catch (e) {
+    // a hand-edited or truncated recording (malformed frames) stops the replay
+    console.error(e);
+    setStatus(`Re-analysis failed: ${e?.message || e}`);
+    return;
+  }
+
+  renderReanalysisTable(beforeTbody, beforeSummaryEl, before);
+  renderReanalysisTable(afterTbody, afterSummaryEl, after);
+  renderTracking();
+  const groundNote = ground ? ` and ground ${describeGroundLine()}` : "";
+  setStatus(`Re-analyzed ${rec.source || "recording"} with ${describeDetectionSettings(det)}${groundNote}: ${before.length} → ${after.length} steps.`);
+}
+
+async function loadSessionFile(file) {
+  try {
+    const rec = JSON.parse(await file.text());
+    if (!isLandmarkRecording(rec)) {
+      setStatus("That file is not a landmark recording (use Landmarks JSON).");
+      return;
+    }
+    setReanalysisSource(rec, "Loaded");
+  } catch (e) {
+    console.error(e);
+    setStatus(`Could not read recording: ${e?.message || e}`);
+  }
+}
+
+// ---------------- Strike events ----------------
+// Detector(s) the current capture was analyzed with (the choice can change mid-capture)
+function describeStrikeDetectors() {
+  const ids = new Set(frameTrace.map((f) => f.detector));
+  if (ids.size === 0) ids.add(getDetectionSettings().detector);
+  return Array.from(ids, (id) => getStrikeDetector(id).label).join("; ");
+}
+
+// Recompute every row from the (edited) strike events.
+function rebuildRowsFromEvents() {
+  resetTable();
+  for (const row of engine.rebuildRows()) addRowToTable({ ...row }, false);
+  transitions.push(...engine.transitions.map((t) => ({ ...t })));
+  refreshAnalysis();
+  renderTransitions();
+  scheduleTimelineDraw();
+}
+
+// ---------------- Strike timeline ----------------
+// Smoothed foot y of both feet, the ground band and the strike markers of the current capture.
+// Follows the last seconds while capturing; afterwards strikes can be edited:
+// drag = move, double-click = add (alternating foot, Shift = other foot), right-click / Delete = remove.
+const TIMELINE_FOLLOW_MS = 10000;
+const TIMELINE_PAD = { l: 44, r: 12, t: 12, b: 24 };
+const TIMELINE_HIT_PX = 8;
+const TIMELINE_COLORS = { R: "rgba(255,140,120,0.9)", L: "rgba(120,190,255,0.9)" };
+
+let timelineView = null; // { t0, t1 } zoomed window in ms; null = whole capture
+let timelineDrag = null; // { ev, moved }
+let timelineSelected = null;
+let timelineDrawPending = false;
+
+function isTimelineEditable() {
+  return analyzeState !== "analyzing" && !usingUpload && frameTrace.length > 0;
+}
+
+function resetTimelineView() {
+  timelineView = null;
+  timelineDrag = null;
+  timelineSelected = null;
+  scheduleTimelineDraw();
+}
+
+function scheduleTimelineDraw() {
+  if (timelineDrawPending) return;
+  timelineDrawPending = true;
+  requestAnimationFrame(() => {
+    timelineDrawPending = false;
+    drawTimeline();
+  });
+}
+
+function getTimelineExtent() {
+  if (frameTrace.length === 0) return null;
+  const first = frameTrace[0].tMs;
+  const last = frameTrace[frameTrace.length - 1].tMs;
+  if (!isTimelineEditable()) return { t0: Math.max(first, last - TIMELINE_FOLLOW_MS), t1: Math.max(last, first + 1) };
+  return timelineView ?? { t0: first, t1: Math.max(last, first + 1) };
+}
+
+// Canvas ↔ time/pixel mapping of the current view
+function getTimelineScale() {
+  const view = getTimelineExtent();
+  if (!view) return null;
+
+  let lo = Infinity, hi = -Infinity;
+  for (let i = Math.max(0, engine.traceIndexAt(view.t0)); i < frameTrace.length; i++) {
+    const f = frameTrace[i];
+    if (f.tMs > view.t1) break;
+    for (const v of [f.ySm.R, f.ySm.L, getStrikeDetector(f.detector).usesGround ? f.groundY : null]) {
+      if (v === null || v === undefined) continue;
+      lo = Math.min(lo, v);
+      hi = Math.max(hi, v);
+    }
+  }
+  if (!isFinite(lo)) { lo = 0; hi = canvasEl.height; }
+  const span = Math.max(20, hi - lo);
+  lo -= span * 0.1;
+  hi += span * 0.1;
+
+  const W = timelineCanvas.width, H = timelineCanvas.height, P = TIMELINE_PAD;
+  return {
+    ...view,
+    lo,
+    hi,
+    x: (t) => P.l + ((t - view.t0) / (view.t1 - view.t0)) * (W - P.l - P.r),
+    t: (x) => view.t0 + ((x - P.l) / (W - P.l - P.r)) * (view.t1 - view.t0),
+    // image y grows downwards, so the ground is at the bottom of the chart as well
+    y: (v) => P.t + ((v - lo) / (hi - lo)) * (H - P.t - P.b)
+  };
+}
+
+function drawTimeline() {
+  const c = timelineCanvas.getContext("2d");
+  const W = timelineCanvas.width, H = timelineCanvas.height, P = TIMELINE_PAD;
+  c.clearRect(0, 0, W, H);
+  c.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+
+  const sc = getTimelineScale();
+  if (!sc) {
+    c.fillStyle = "rgba(170,179,214,0.9)";
+    c.fillText("Timeline: foot trajectories appear here once a capture starts", P.l, H / 2);
+    timelineInfoEl.textContent = "";
+    return;
+  }
+
+  c.strokeStyle = "rgba(255,255,255,0.12)";
+  c.strokeRect(P.l, P.t, W - P.l - P.r, H - P.t - P.b);
+
+  const i0 = Math.max(0, engine.traceIndexAt(sc.t0) - 1);
+  const inView = [];
+  for (let i = i0; i < frameTrace.length && frameTrace[i].tMs <= sc.t1; i++) inView.push(frameTrace[i]);
+
+  // ground band (groundY ± tolerance)
+  const tol = getDetectionSettings().groundTolPx;
+  c.fillStyle = "rgba(0,255,200,0.10)";
+  for (const [k, f] of inView.entries()) {
+    if (f.groundY === null || !getStrikeDetector(f.detector).usesGround) continue;
+    const next = inView[k + 1] ?? f;
+    const x0 = sc.x(f.tMs), x1 = Math.max(x0 + 1, sc.x(next.tMs));
+    const y0 = sc.y(f.groundY - tol), y1 = sc.y(f.groundY + tol);
+    c.fillRect(x0, y0, x1 - x0, y1 - y0);
+  }
+
+  // smoothed foot y (gaps where the foot was not visible)
+  for (const side of ["R", "L"]) {
+    c.strokeStyle = TIMELINE_COLORS[side];
+    c.lineWidth = 1.5;
+    c.beginPath();
+    let pen = false;
+    for (const f of inView) {
+      const v = f.ySm[side];
+      if (v === null) { pen = false; continue; }
+      if (pen) c.lineTo(sc.x(f.tMs), sc.y(v));
+      else c.moveTo(sc.x(f.tMs), sc.y(v));
+      pen = true;
+    }
+    c.stroke();
+  }
+
+  // strike markers (dashed = manual edit)
+  c.save();
+  c.beginPath();
+  c.rect(P.l, 0, W - P.l - P.r, H);
+  c.clip();
+  for (const ev of strikeEvents) {
+    if (ev.tMs < sc.t0 || ev.tMs > sc.t1) continue;
+    const x = sc.x(ev.tMs);
+    c.strokeStyle = TIMELINE_COLORS[ev.side];
+    c.lineWidth = ev === timelineSelected ? 3 : 1.5;
+    c.setLineDash(ev.edit ? [4, 3] : []);
+    c.beginPath();
+    c.moveTo(x, P.t);
+    c.lineTo(x, H - P.b);
+    c.stroke();
+    c.fillStyle = TIMELINE_COLORS[ev.side];
+    c.fillText(ev.edit ? `${ev.side}*` : ev.side, x + 3, P.t + 11);
+  }
+  if (reviewCursorMs !== null && reviewCursorMs >= sc.t0 && reviewCursorMs <= sc.t1) {
+    c.strokeStyle = "rgba(232,236,255,0.85)";
+    c.lineWidth = 1;
+    c.setLineDash([]);
+    c.beginPath();
+    c.moveTo(sc.x(reviewCursorMs), P.t);
+    c.lineTo(sc.x(reviewCursorMs), H - P.b);
+    c.stroke();
+  }
+  c.restore();
+  c.setLineDash([]);
+  c.lineWidth = 1;
+
+  c.fillStyle = "rgba(170,179,214,0.9)";
+  c.fillText(`${fmt(sc.t0 / 1000, 1)} s`, P.l, H - 6);
+  const endLabel = `${fmt(sc.t1 / 1000, 1)} s`;
+  c.fillText(endLabel, W - P.r - c.measureText(endLabel).width, H - 6);
+  const detector = getStrikeDetector(inView.at(-1)?.detector);
+  c.fillText(detector.signalLabel, 4, P.t + 10);
+  if (detector.usesGround) c.fillText("ground", 4, H - P.b);
+
+  const edits = strikeEvents.filter((ev) => ev.edit).length + deletedStrikes.length;
+  timelineInfoEl.textContent = isTimelineEditable()
+    ? `${strikeEvents.length} strikes · ${edits} manual edit${edits === 1 ? "" : "s"}`
+    : "Capturing… (editing is available once the capture ends)";
+}
+
+function timelinePointer(e) {
+  const rect = timelineCanvas.getBoundingClientRect();
+  return {
+    x: (e.clientX - rect.left) * (timelineCanvas.width / rect.width),
+    y: (e.clientY - rect.top) * (timelineCanvas.height / rect.height)
+  };
+}
+
+function timelineHit(sc, x) {
+  let best = null, bestDist = TIMELINE_HIT_PX;
+  for (const ev of strikeEvents) {
+    const d = Math.abs(sc.x(ev.tMs) - x);
+    if (d <= bestDist) { best = ev; bestDist = d; }
+  }
+  return best;
+}
+
+function deleteStrikeEvent(ev) {
+  const i = strikeEvents.indexOf(ev);
+  if (i < 0) return;
+  strikeEvents.splice(i, 1);
+  if (ev.edit !== "added") deletedStrikes.push({ side: ev.side, tMs: ev.tMs });
+  if (timelineSelected === ev) timelineSelected = null;
+  rebuildRowsFromEvents();
+}
+
+function addStrikeEvent(tMs, flipSide) {
+  let prev = null, near = null;
+  for (const ev of strikeEvents) {
+    if (ev.tMs <= tMs) prev = ev;
+    if (!near || Math.abs(ev.tMs - tMs) < Math.abs(near.tMs - tMs)) near = ev;
+  }
+  let side = prev ? (prev.side === "R" ? "L" : "R") : "R";
+  if (flipSide) side = side === "R" ? "L" : "R";
+
+  const ev = {
+    side,
+    tMs,
+    stage: near ? near.stage : null,
+    beltSpeedMS: near ? near.beltSpeedMS : getSpeedMS(),
+    edit: "added"
+  };
+  strikeEvents.push(ev);
+  timelineSelected = ev;
+  rebuildRowsFromEvents();
+}
+
+function clampToTrace(tMs) {
+  return clamp(tMs, frameTrace[0].tMs, frameTrace[frameTrace.length - 1].tMs);
+}
+
+function onTimelineMouseDown(e) {
+  if (e.button !== 0 || !isTimelineEditable()) return;
+  const sc = getTimelineScale();
+  const { x } = timelinePointer(e);
+  const ev = timelineHit(sc, x);
+  timelineSelected = ev;
+  timelineDrag = ev ? { ev, moved: false } : null;
+  timelineCanvas.focus();
+  // a click beside the markers shows that moment of the uploaded video
+  if (!ev && isReviewAvailable()) reviewSeek(clampToTrace(sc.t(x)));
+  scheduleTimelineDraw();
+}
+
+function onTimelineMouseMove(e) {
+  if (!timelineDrag) {
+    const sc = isTimelineEditable() ? getTimelineScale() : null;
+    timelineCanvas.style.cursor = sc && timelineHit(sc, timelinePointer(e).x) ? "ew-resize" : "";
+    return;
+  }
+  const sc = getTimelineScale();
+  timelineDrag.ev.tMs = clampToTrace(sc.t(timelinePointer(e).x));
+  timelineDrag.moved = true;
+  scheduleTimelineDraw();
+}
+
+function onTimelineMouseUp() {
+  if (!timelineDrag) return;
+  const { ev, moved } = timelineDrag;
+  timelineDrag = null;
+  if (!moved) return;
+  if (ev.edit !== "added") ev.edit = "moved";
+  rebuildRowsFromEvents();
+}
+
+function onTimelineDoubleClick(e) {
+  if (!isTimelineEditable()) return;
+  const sc = getTimelineScale();
+  const { x } = timelinePointer(e);
+  if (timelineHit(sc, x)) return;
+  addStrikeEvent(clampToTrace(sc.t(x)), e.shiftKey);
+}
+
+function onTimelineContextMenu(e) {
+  if (!isTimelineEditable()) return;
+  const ev = timelineHit(getTimelineScale(), timelinePointer(e).x);
+  if (!ev) return;
+  e.preventDefault();
+  deleteStrikeEvent(ev);
+}
+
+function onTimelineKeyDown(e) {
+  if ((e.key === "Delete" || e.key === "Backspace") && timelineSelected && isTimelineEditable()) {
+    e.preventDefault();
+    deleteStrikeEvent(timelineSelected);
+  }
+}
+
+// wheel = zoom around the pointer
+function onTimelineWheel(e) {
+  if (!isTimelineEditable()) return;
+  e.preventDefault();
+  const sc = getTimelineScale();
+  const first = frameTrace[0].tMs, last = frameTrace[frameTrace.length - 1].tMs;
+  const tAt = sc.t(timelinePointer(e).x);
+  const k = e.deltaY > 0 ? 1.25 : 0.8;
+  const span = clamp((sc.t1 - sc.t0) * k, 500, Math.max(500, last - first));
+  let t0 = tAt - (tAt - sc.t0) * (span / (sc.t1 - sc.t0));
+  t0 = clamp(t0, first, Math.max(first, last - span));
+  timelineView = { t0, t1: t0 + span };
+  scheduleTimelineDraw();
+}
+
+// ---------------- Drawing ----------------
+function drawResults(results) {
+  updateCanvasSize();
+
+  ctx.save();
+  ctx.clearRect(0, 0, canvasEl.width, canvasEl.height);
+
+  ctx.drawImage(results.image, 0, 0, canvasEl.width, canvasEl.height);
+
+  if (results.poseLandmarks) {
+    drawConnectors(ctx, results.poseLandmarks, pose?.connections ?? [], { lineWidth: 3 });
+    drawLandmarks(ctx, results.poseLandmarks, { lineWidth: 2, radius: 2 });
+  }
+
+  drawGroundOverlay();
+  ctx.restore();
+}
+
+// ---------------- Per-frame gait analysis ----------------
+// Angles, toe-offs and strikes for one captured frame (landmarks = null: no pose, counted
+// for the tracking statistics only). Shared by the live/upload pose callback and the offline
+// re-analysis of recorded landmarks.
+function analyzeLandmarkFrame(landmarks, tMs, det) {
+  const out = engine.analyzeFrame(landmarks, tMs, det, analysisFrame());
+  frameAngles = out.angles;
+  recordAngleFrame(tMs);
+
+  if (out.transitions.length > 0) {
+    transitions.push(...out.transitions.map((t) => ({ ...t })));
+    renderTransitions();
+  }
+  for (const row of out.rows) addStrikeRow(row);
+  scheduleTimelineDraw();
+}
+
+// Table side of an accepted strike: KPIs and the step/duration cut-off of the capture
+function addStrikeRow(row) {
+  stepCount += 1;
+  addRowToTable({ ...row });
+
+  lastSideEl.textContent = row.stepLabel;
+  if (row.strideFreqHz !== null && isFinite(row.strideFreqHz)) lastFreqEl.textContent = fmt(row.strideFreqHz, 3);
+  renderTracking();
+
+  if (!protocol && capture.mode === "steps" && stepCount >= capture.steps) {
+    endCapture(`${capture.steps} steps`);
+  }
+}
+
+// ---------------- Pose callback ----------------
+async function onPoseResults(results) {
+  if (!runningLoop) return;
+
+  if (results.poseLandmarks && results.poseLandmarks.length > 0) {
+    lastLandmarks = results.poseLandmarks;
+
+    const det = getDetectionSettings();
+    const { visThresh } = det;
+
+    facingEl.textContent = estimateFacingDirection(results.poseLandmarks);
+
+    updateEstimatedGroundFromLandmarks(results.poseLandmarks, visThresh);
+
+    if (groundCalibrating) {
+      const lh = results.poseLandmarks[IDX.L_HEEL];
+      const rh = results.poseLandmarks[IDX.R_HEEL];
+      const goodL = lh && (lh.visibility ?? 0) >= visThresh;
+      const goodR = rh && (rh.visibility ?? 0) >= visThresh;
+      if (goodL) groundSamples.push({ x: lh.x * canvasEl.width, y: lh.y * canvasEl.height });
+      if (goodR) groundSamples.push({ x: rh.x * canvasEl.width, y: rh.y * canvasEl.height });
+    }
+
+    const rOk = (results.poseLandmarks[IDX.R_HEEL]?.visibility ?? 0) >= visThresh &&
+                (results.poseLandmarks[IDX.R_ANKLE]?.visibility ?? 0) >= visThresh;
+    const lOk = (results.poseLandmarks[IDX.L_HEEL]?.visibility ?? 0) >= visThresh &&
+                (results.poseLandmarks[IDX.L_ANKLE]?.visibility ?? 0) >= visThresh;
+    noteTrackingFrame(rOk && lOk);
+    setStatusQuality();
+
+    drawResults(results);
+
+    if (analyzeState === "analyzing" || usingUpload) {
+      const tMs = getTimeMs();
+      recordLandmarkFrame(tMs, results.poseLandmarks);
+      if (captureStartT === null) captureStartT = tMs;
+      updateProtocol(tMs);
+      updateCaptureProgress(tMs);
+      if (!runningLoop || (analyzeState !== "analyzing" && !usingUpload)) return;
+
+      const stepsBefore = rows.length;
+      analyzeLandmarkFrame(results.poseLandmarks, tMs, det);
+      if (rows.length > stepsBefore) captureReportKeyframe(rows[rows.length - 1]);
+    }
+
+  } else {
+    noteTrackingFrame(false);
+    setStatusQuality();
+    facingEl.textContent = "—";
+    drawResults(results);
+    if (analyzeState === "analyzing" || usingUpload) {
+      const tMs = getTimeMs();
+      recordLandmarkFrame(tMs, null);
+      if (captureStartT === null) return;
+      // the capture clock runs on while the pose is lost: a duration or protocol still ends on time
+      updateProtocol(tMs);
+      updateCaptureProgress(tMs);
+      if (!runningLoop || (analyzeState !== "analyzing" && !usingUpload)) return;
+      analyzeLandmarkFrame(null, tMs, getDetectionSettings());
+    }
+  }
+}
+
+// ---------------- MediaPipe Pose init ----------------
+// The pinned MediaPipe files are served from vendor/mediapipe/ when they were fetched there
+// (vendor/fetch-mediapipe.sh), otherwise from the CDN. The service worker caches whichever copy
+// is used, so after one visit with the model loaded the app also runs offline. A checkout ships
+// without vendor/mediapipe/, so the status line says when the CDN stands in for it.
+const MEDIAPIPE_SOURCES = [
+  {
+    label: "bundled copy",
+    pose: "vendor/mediapipe/pose",
+    tasks: "vendor/mediapipe/tasks-vision",
+    poseModel: (model) => `vendor/mediapipe/models/pose_landmarker_${model}.task`,
+    drawingUtils: "vendor/mediapipe/drawing_utils"
+  },
+  {
+    label: "CDN",
+    pose: `https://cdn.jsdelivr.net/npm/@mediapipe/pose@${POSE_VERSION}`,
+    tasks: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${TASKS_VISION_VERSION}`,
+    poseModel: (model) =>
+      `https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_${model}/float16/1/pose_landmarker_${model}.task`,
+    drawingUtils: `https://cdn.jsdelivr.net/npm/@mediapipe/drawing_utils@${DRAWING_UTILS_VERSION}`
+  }
+];
+
+// Both backends put a MediaPipe pose model behind { send(image, tMs), close(), note } (note =
+// fallback shown in the model status line, or null) and hand every frame to onPoseResults as { image, poseLandmarks } (same 33 landmarks either way).
+// tasks = Tasks PoseLandmarker in VIDEO mode: each frame carries its timestamp (video time for
+// uploads), so tracking follows the analysis frame rate. legacy = @mediapipe/pose solution.
+const POSE_BACKENDS = {
+  tasks: { label: "Tasks PoseLandmarker", create: createTasksPose },
+  legacy: { label: "Legacy Pose", create: createLegacyPose }
+};
+const POSE_MODELS = { lite: 0, full: 1, heavy: 2 }; // legacy modelComplexity
+
+function getPoseSettings() {
+  return {
+    backend: POSE_BACKENDS[poseBackendSelect.value] ? poseBackendSelect.value : "tasks",
+    model: poseModelSelect.value in POSE_MODELS ? poseModelSelect.value : "full",
+    minDetectionConfidence: clamp(Number(poseDetConfInput.value || 0.5), 0, 1),
+    minTrackingConfidence: clamp(Number(poseTrackConfInput.value || 0.5), 0, 1)
+  };
+}
+
+// recordings from before the backend choice have no pose settings
+function describePoseSettings(p) {
+  if (!p) return "";
+  return `${POSE_BACKENDS[p.backend]?.label ?? p.backend} (${p.model}) · detection ${fmt(p.minDetectionConfidence, 2)} · tracking ${fmt(p.minTrackingConfidence, 2)}`;
+}
+
+function isPoseReady() {
+  return pose !== null && pose.key === JSON.stringify(getPoseSettings());
+}
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const el = document.createElement("script");
+    el.crossOrigin = "anonymous"; // a CORS response, not an opaque one, so the service worker can cache it
+    el.src = src;
+    el.onload = () => resolve();
+    el.onerror = () => {
+      el.remove();
+      reject(new Error(`Could not load ${src}`));
+    };
+    document.head.appendChild(el);
+  });
+}
+
+async function createLegacyPose(src, settings) {
+  if (typeof Pose === "undefined") await loadScript(`${src.pose}/pose.js`);
+  const p = new Pose({
+    locateFile: (file) => `${src.pose}/${file}`
+  });
+
+  p.setOptions({
+    modelComplexity: POSE_MODELS[settings.model],
+    smoothLandmarks: true,
+    enableSegmentation: false,
+    minDetectionConfidence: settings.minDetectionConfidence,
+    minTrackingConfidence: settings.minTrackingConfidence
+  });
+
+  p.onResults(onPoseResults);
+  await p.initialize(); // fetches the wasm + model now instead of on the first frame
+  return {
+    connections: POSE_CONNECTIONS,
+    send: (image) => p.send({ image }),
+    close: () => p.close(),
+    note: null
+  };
+}
+
+async function createTasksPose(src, settings) {
+  const url = (path) => new URL(path, document.baseURI).href;
+  const { FilesetResolver, PoseLandmarker } = await import(url(`${src.tasks}/vision_bundle.mjs`));
+  const fileset = await FilesetResolver.forVisionTasks(url(`${src.tasks}/wasm`));
+  const options = (delegate) => ({
+    baseOptions: { modelAssetPath: url(src.poseModel(settings.model)), delegate },
+    runningMode: "VIDEO",
+    numPoses: 1,
+    minPoseDetectionConfidence: settings.minDetectionConfidence,
+    minPosePresenceConfidence: settings.minTrackingConfidence,
+    minTrackingConfidence: settings.minTrackingConfidence,
+    outputSegmentationMasks: false
+  });
+
+  let landmarker, note = null;
+  try {
+    landmarker = await PoseLandmarker.createFromOptions(fileset, options("GPU"));
+  } catch (e) {
+    console.error(e);
+    note = `on CPU, GPU delegate unavailable: ${e?.message || e}`;
+    landmarker = await PoseLandmarker.createFromOptions(fileset, options("CPU"));
+  }
+
+  // VIDEO mode needs increasing timestamps; the next upload (or a rerun) starts again at 0,
+  // so it is shifted past the last frame (the jump also restarts the landmark tracking)
+  let lastTs = -Infinity, offset = 0;
+  return {
+    connections: PoseLandmarker.POSE_CONNECTIONS.map((c) => [c.start, c.end]),
+    async send(image, tMs) {
+      if (tMs + offset <= lastTs) offset = lastTs + 1000 - tMs;
+      lastTs = tMs + offset;
+      const res = landmarker.detectForVideo(image, lastTs);
+      await onPoseResults({ image, poseLandmarks: res.landmarks[0] ?? null });
+    },
+    close: () => landmarker.close(),
+    note
+  };
+}
+
+// Loads (or reloads, after the Inputs changed) the pose backend; concurrent calls share one load
+async function initPose() {
+  while (!isPoseReady()) {
+    if (!poseLoading) poseLoading = createPose().finally(() => { poseLoading = null; });
+    await poseLoading;
+  }
+}
+
+// First source where the drawing utils and the chosen backend load
+async function createPose() {
+  const settings = getPoseSettings();
+  const backend = POSE_BACKENDS[settings.backend];
+  if (pose) {
+    pose.close();
+    pose = null;
+  }
+  setModelState("loading");
+  const failures = [];
+  try {
+    for (const src of MEDIAPIPE_SOURCES) {
+      try {
+        if (typeof drawConnectors === "undefined") await loadScript(`${src.drawingUtils}/drawing_utils.js`);
+        pose = { key: JSON.stringify(settings), ...(await backend.create(src, settings)) };
+        vendorState = src === MEDIAPIPE_SOURCES[0] ? "bundled" : "missing";
+        const fallback = vendorState === "missing" && "no bundled copy in vendor/mediapipe/";
+        setModelState("ready", [`${backend.label} ${settings.model}`, src.label, fallback, pose.note].filter(Boolean).join(", "));
+        return;
+      } catch (e) {
+        console.error(e);
+        failures.push(`${src.label}: ${e?.message || e}`);
+      }
+    }
+    throw new Error(`${navigator.onLine === false
+      ? "offline and no bundled or cached copy of MediaPipe"
+      : "MediaPipe could not be loaded"} (${failures.join("; ")})`);
+  } catch (e) {
+    setModelState("failed", null, e);
+    throw e;
+  }
+}
+
+function setModelState(phase, source = null, error = null) {
+  modelState = { phase, source, error };
+  renderModelStatus();
+}
+
+function renderModelStatus() {
+  const { phase, source, error } = modelState;
+  const model = {
+    idle: "not loaded",
+    loading: "loading… (Start Live Camera / Process Upload wait for it)",
+    ready: `ready (${source})`,
+    failed: `failed to load: ${error?.message || error}`
+  }[phase];
+  const offline = {
+    checking: "checking…",
+    ready: {
+      checking: "available (app cached on this device)",
+      bundled: "available (app and bundled MediaPipe cached on this device; heavy models once used)",
+      missing: "app only: MediaPipe is not bundled (run vendor/fetch-mediapipe.sh, see README), " +
+        "so each pose model works offline only after it has loaded here once online"
+    }[vendorState],
+    unavailable: "unavailable (needs HTTPS or localhost)",
+    failed: "service worker failed to install"
+  }[offlineState];
+  modelStatusEl.textContent = `Pose model: ${model} · Offline use: ${offline}`;
+  modelStatusEl.classList.toggle("pending", phase === "loading");
+  modelStatusEl.classList.toggle("warn", phase === "ready" && vendorState === "missing");
+  modelStatusEl.classList.toggle("bad", phase === "failed");
+}
+
+// ---------------- Offline (service worker) ----------------
+// Whether vendor/mediapipe/ was deployed, known before the model loads (createPose confirms it)
+function checkBundledMediapipe() {
+  fetch("vendor/mediapipe/drawing_utils/drawing_utils.js")
+    .then((res) => res.ok, () => false)
+    .then((ok) => {
+      if (vendorState === "checking") vendorState = ok ? "bundled" : "missing";
+      renderModelStatus();
+    });
+}
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !window.isSecureContext) {
+    offlineState = "unavailable";
+    renderModelStatus();
+    return;
+  }
+  navigator.serviceWorker.register("sw.js")
+    .then(() => navigator.serviceWorker.ready)
+    .then(() => {
+      offlineState = "ready";
+      renderModelStatus();
+    })
+    .catch((e) => {
+      console.error(e);
+      offlineState = "failed";
+      renderModelStatus();
+    });
+}
+
+// ---------------- Ground calibration ----------------
+// Line through the lowest heel positions: the 90th percentile y per x bin, then a
+// least-squares fit over the bins. Falls back to a level line when the heels barely
+// moved sideways (too little spread to measure a tilt).
+const GROUND_FIT_BINS = 8;
+const GROUND_MAX_SLOPE = 0.25; // ≈ 14°
+
+function fitGroundLine(samples) {
+  const level = { groundY: percentile(samples.map((p) => p.y), 90), groundSlope: 0 };
+
+  const xs = samples.map((p) => p.x);
+  const x0 = Math.min(...xs), x1 = Math.max(...xs);
+  if (x1 - x0 < canvasEl.width * 0.1) return level;
+
+  const bins = Array.from({ length: GROUND_FIT_BINS }, () => []);
+  for (const p of samples) {
+    const k = Math.min(GROUND_FIT_BINS - 1, Math.floor(((p.x - x0) / (x1 - x0)) * GROUND_FIT_BINS));
+    bins[k].push(p);
+  }
+  const pts = bins
+    .filter((b) => b.length >= 3)
+    .map((b) => ({ x: mean(b.map((p) => p.x)), y: percentile(b.map((p) => p.y), 90) }));
+  if (pts.length < 2) return level;
+
+  const mx = mean(pts.map((p) => p.x)), my = mean(pts.map((p) => p.y));
+  let sxy = 0, sxx = 0;
+  for (const p of pts) {
+    sxy += (p.x - mx) * (p.y - my);
+    sxx += (p.x - mx) ** 2;
+  }
+  const slope = clamp(sxy / sxx, -GROUND_MAX_SLOPE, GROUND_MAX_SLOPE);
+  return { groundY: my + slope * (canvasEl.width / 2 - mx), groundSlope: slope };
+}
+
+async function calibrateGroundLine() {
+  if (!streamOn || !runningLoop) {
+    setStatus("Start Live Camera first, then set ground line.");
+    return;
+  }
+
+  groundCalibrating = true;
+  groundSamples = [];
+  setStatus("Calibrating ground line… keep feet visible (1 second)");
+  setHUD("CALIBRATING…");
+
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+
+  groundCalibrating = false;
+  setHUD("");
+
+  if (groundSamples.length < 10) {
+    setStatus("Ground calibration failed (feet not visible enough). Try again.");
+    return;
+  }
+
+  const fit = fitGroundLine(groundSamples);
+  groundY = fit.groundY;
+  groundSlope = fit.groundSlope;
+  groundCalibrated = true;
+
+  setStatus(`Ground line set (${describeGroundLine()}).`);
+}
+
+// Two clicks on the belt surface in the video define the line (any tilt)
+function startGroundClick() {
+  if (!streamOn && !isReviewAvailable()) {
+    setStatus("Start Live Camera or process an upload first, then click the ground points on the video.");
+    return;
+  }
+  overlayPick = { kind: "ground", points: [] };
+  setStatus("Click the belt surface on the video: first point…");
+  if (isReviewAvailable()) drawReviewFrame();
+}
+
+// canvas pixel under the pointer (the canvas is letterboxed by object-fit: contain)
+function overlayPointer(e) {
+  const rect = canvasEl.getBoundingClientRect();
+  const scale = Math.min(rect.width / canvasEl.width, rect.height / canvasEl.height);
+  return {
+    x: (e.clientX - rect.left - (rect.width - canvasEl.width * scale) / 2) / scale,
+    y: (e.clientY - rect.top - (rect.height - canvasEl.height * scale) / 2) / scale
+  };
+}
+
+function onOverlayClick(e) {
+  if (!overlayPick) return;
+  const pick = overlayPick;
+  pick.points.push(overlayPointer(e));
+
+  if (pick.points.length < 2) {
+    setStatus(pick.kind === "ground"
+      ? "Click the belt surface on the video: second point (far from the first)…"
+      : "Click the second end of the known distance…");
+  } else {
+    overlayPick = null;
+    if (pick.kind === "ground") setGroundFromPoints(pick.points);
+    else setScaleFromPoints(pick.points);
+  }
+  if (isReviewAvailable()) drawReviewFrame();
+}
+
+function setGroundFromPoints([a, b]) {
+  if (Math.abs(b.x - a.x) < canvasEl.width * 0.05) {
+    setStatus("Ground points too close together horizontally. Try again with points further apart.");
+    return;
+  }
+  groundSlope = (b.y - a.y) / (b.x - a.x);
+  groundY = a.y + groundSlope * (canvasEl.width / 2 - a.x);
+  groundCalibrated = true;
+  setStatus(`Ground line set by hand (${describeGroundLine()}).`);
+}
+
+// back to the level line estimated from the heels
+function resetGroundLine() {
+  groundY = null;
+  groundSlope = 0;
+  groundCalibrated = false;
+  if (overlayPick?.kind === "ground") overlayPick = null;
+  setStatus("Ground line reset (estimated from the heels).");
+  if (isReviewAvailable()) drawReviewFrame();
+}
+
+// ---------------- Scale calibration ----------------
+// Pixels per metre, either from two clicked points of a known distance or from the
+// participant's leg length (hip → knee → ankle in the image). Only valid for things in
+// the runner's plane (side view, same distance from the camera).
+function describeScale(p = pxPerM, source = scaleSource) {
+  return p ? `${fmt(p, 1)} px/m (${source})` : "not set";
+}
+
+function renderScaleInfo() {
+  scaleInfoEl.textContent = pxPerM
+    ? `Scale: ${describeScale()}.`
+    : "Scale: not set. Vertical oscillation, landing distance and cm ground tolerance need a scale.";
+}
+
+// rows carry cm values, so a new scale recomputes them (unless a capture is running)
+function setScale(value, source) {
+  pxPerM = value;
+  engine.pxPerM = value;
+  scaleSource = source;
+  renderScaleInfo();
+  if (strikeEvents.length > 0 && analyzeState !== "analyzing" && !usingUpload) rebuildRowsFromEvents();
+}
+
+function startScaleClick() {
+  if (!streamOn && !isReviewAvailable()) {
+    setStatus("Start Live Camera or process an upload first, then click the two points on the video.");
+    return;
+  }
+  if (!(Number(scaleKnownCmInput.value) > 0)) {
+    setStatus("Enter the known distance (cm) first.");
+    return;
+  }
+  overlayPick = { kind: "scale", points: [] };
+  setStatus(`Click both ends of the ${fmt(Number(scaleKnownCmInput.value), 0)} cm distance on the video: first point…`);
+  if (isReviewAvailable()) drawReviewFrame();
+}
+
+function setScaleFromPoints([a, b]) {
+  const px = Math.hypot(b.x - a.x, b.y - a.y);
+  const cm = Number(scaleKnownCmInput.value);
+  if (px < 20) {
+    setStatus("Scale points too close together. Try again.");
+    return;
+  }
+  setScale(px / (cm / 100), `${fmt(cm, 0)} cm clicked`);
+  setStatus(`Scale set: ${describeScale()}.`);
+}
+
+// Hip → knee → ankle path in px (knee flexion does not shorten it), median over the
+// frames of the last capture (or the current frame when nothing was recorded).
+function measureLegPx(visThresh) {
+  const frames = (landmarkRecording?.frames ?? []).filter((f) => f.landmarks).map((f) => landmarksFromRecord(f.landmarks));
+  if (frames.length === 0 && lastLandmarks) frames.push(lastLandmarks);
+
+  const lengths = [];
+  for (const lm of frames) {
+    for (const ids of [[IDX.R_HIP, IDX.R_KNEE, IDX.R_ANKLE], [IDX.L_HIP, IDX.L_KNEE, IDX.L_ANKLE]]) {
+      const pts = ids.map((i) => lm[i]);
+      if (pts.some((p) => !p || (p.visibility ?? 0) < visThresh)) continue;
+      const seg = (p, q) => Math.hypot((p.x - q.x) * canvasEl.width, (p.y - q.y) * canvasEl.height);
+      lengths.push(seg(pts[0], pts[1]) + seg(pts[1], pts[2]));
+    }
+  }
+  return lengths.length > 0 ? percentile(lengths, 50) : null;
+}
+
+function setScaleFromLegLength() {
+  const cm = Number(legLengthCmInput.value);
+  if (!(cm > 0)) {
+    setStatus("Enter the participant's leg length (cm) first.");
+    return;
+  }
+  const px = measureLegPx(getDetectionSettings().visThresh);
+  if (px === null) {
+    setStatus("Scale from leg length needs visible hip, knee and ankle (start the camera or analyze a capture first).");
+    return;
+  }
+  setScale(px / (cm / 100), `leg length ${fmt(cm, 1)} cm`);
+  setStatus(`Scale set: ${describeScale()}.`);
+}
+
+// ---------------- Speed-ramp protocol ----------------
+// Stages go up from the start speed by the increment, then optionally back down.
+// Speeds are entered in the selected speed unit.
+function buildProtocolStages() {
+  const start = Number(protocolStartInput.value || 0);
+  const inc = Number(protocolStepInput.value || 0);
+  const n = clamp(Math.round(Number(protocolStagesInput.value || 1)), 1, 30);
+
+  const speeds = [];
+  for (let i = 0; i < n; i++) speeds.push(start + i * inc);
+  if (protocolRampDownInput.checked) {
+    for (let i = n - 2; i >= 0; i--) speeds.push(start + i * inc);
+  }
+
+  return speeds.map((v, i) => ({ n: i + 1, speedMS: toSpeedMS(v) }));
+}
+
+function getProtocolStageMs() {
+  return Math.max(5, Number(protocolStageSecInput.value || 60)) * 1000;
+}
+
+function renderProtocolPreview() {
+  const on = protocolOnInput.checked;
+  for (const el of [protocolStartInput, protocolStepInput, protocolStageSecInput, protocolStagesInput, protocolRampDownInput]) {
+    el.disabled = !on || analyzeState !== "idle";
+  }
+  if (!on) {
+    protocolPreviewEl.textContent = "Protocol off: the treadmill speed above is used for the whole capture.";
+    return;
+  }
+
+  const stages = buildProtocolStages();
+  const totalMin = (stages.length * getProtocolStageMs()) / 60000;
+  protocolPreviewEl.textContent =
+    `${stages.length} stages: ${stages.map((st) => fmtSpeed(st.speedMS)).join(" → ")} · ` +
+    `${fmt(getProtocolStageMs() / 1000, 0)} s each · ${fmt(totalMin, 1)} min total`;
+}
+
+function startProtocol() {
+  protocol = {
+    stages: buildProtocolStages(),
+    stageMs: getProtocolStageMs(),
+    startT: null,
+    stageIndex: 0
+  };
+  if (landmarkRecording) {
+    landmarkRecording.settings.protocol = { stageMs: protocol.stageMs, stages: protocol.stages };
+  }
+}
+
+function getProtocolStage() {
+  if (!protocol) return null;
+  return protocol.stages[protocol.stageIndex] || null;
+}
+
+// Advances the stage from the analysis clock and prompts the operator in the HUD.
+function updateProtocol(tMs) {
+  if (!protocol) return;
+  if (protocol.startT === null) {
+    protocol.startT = tMs;
+    setStatus(`Stage 1/${protocol.stages.length}: belt at ${fmtSpeed(protocol.stages[0].speedMS)}.`);
+  }
+
+  const elapsed = tMs - protocol.startT;
+  const idx = Math.floor(elapsed / protocol.stageMs);
+  const total = protocol.stages.length;
+
+  if (idx >= total) {
+    finishProtocol();
+    return;
+  }
+
+  if (idx !== protocol.stageIndex) {
+    protocol.stageIndex = idx;
+    setStatus(`Stage ${idx + 1}/${total}: belt at ${fmtSpeed(protocol.stages[idx].speedMS)}.`);
+  }
+
+  const remainMs = protocol.stageMs * (idx + 1) - elapsed;
+  const next = protocol.stages[idx + 1];
+  if (next && remainMs <= PROTOCOL_PROMPT_MS) {
+    setHUD(`SET BELT ${fmtSpeed(next.speedMS)} IN ${Math.ceil(remainMs / 1000)}`);
+  } else {
+    setHUD(`STAGE ${idx + 1}/${total} · ${fmtSpeed(protocol.stages[idx].speedMS)}`);
+  }
+}
+
+function finishProtocol() {
+  const total = protocol.stages.length;
+  protocol = null;
+
+  endCapture(`protocol, ${total} stages`);
+}
+
+// ---------------- Capture configuration ----------------
+// mode: "steps" (stop after N steps), "duration" (stop after N seconds) or
+// "whole" (whole upload between the in/out points; live runs until Stop).
+// A running speed-ramp protocol overrides the mode and ends the capture itself.
+function getCaptureConfig() {
+  const outSec = Number(uploadOutSecInput.value);
+  return {
+    mode: captureModeSelect.value,
+    steps: clamp(Math.round(Number(captureStepsInput.value || 20)), 2, 1000),
+    durationMs: Math.max(1, Number(captureSecInput.value || 60)) * 1000,
+    warmupSec: clamp(Math.round(Number(warmupSecInput.value || 0)), 0, 600),
+    countdownSec: clamp(Math.round(Number(countdownSecInput.value || 0)), 0, 60),
+    inSec: Math.max(0, Number(uploadInSecInput.value || 0)),
+    outSec: uploadOutSecInput.value !== "" && isFinite(outSec) && outSec > 0 ? outSec : null
+  };
+}
+
+function describeCaptureTarget(cfg) {
+  if (protocolOnInput.checked) return "speed-ramp protocol";
+  if (cfg.mode === "steps") return `${cfg.steps} steps`;
+  if (cfg.mode === "duration") return `${fmt(cfg.durationMs / 1000, 0)} s`;
+  return "until Stop";
+}
+
+function renderCaptureConfig() {
+  const cfg = getCaptureConfig();
+  captureStepsInput.disabled = cfg.mode !== "steps";
+  captureSecInput.disabled = cfg.mode !== "duration";
+
+  const parts = [];
+  if (cfg.warmupSec > 0) parts.push(`${cfg.warmupSec}s warm-up`);
+  if (cfg.countdownSec > 0) parts.push(`${cfg.countdownSec}s countdown`);
+  parts.push(describeCaptureTarget(cfg));
+  analyzeBtn.textContent = `Analyze (${parts.join(" → ")})`;
+}
+
+// Ends a duration capture and keeps the live HUD progress up to date.
+function updateCaptureProgress(tMs) {
+  if (protocol || !capture) return;
+
+  const elapsed = tMs - captureStartT;
+  if (capture.mode === "duration" && elapsed >= capture.durationMs) {
+    endCapture(`${fmt(capture.durationMs / 1000, 0)} s`);
+    return;
+  }
+
+  if (usingUpload) return;
+  if (capture.mode === "steps") setHUD(`ANALYZING ${stepCount}/${capture.steps}`);
+  else if (capture.mode === "duration") setHUD(`ANALYZING ${Math.ceil((capture.durationMs - elapsed) / 1000)}s`);
+  else setHUD(`ANALYZING ${fmt(elapsed / 1000, 0)}s`);
+}
+
+function endCapture(reason) {
+  if (usingUpload) {
+    uploadEndReason = `Finished (${reason})`;
+  } else {
+    stopAnalysisOnly();
+    setStatus(`Analysis finished (${reason}). You can Analyze again.`);
+  }
+}
+
+// ---------------- Analyze workflow (live) ----------------
+async function runAnalyzeWorkflow() {
+  if (!streamOn || !runningLoop) {
+    setStatus("Start Live Camera first, then press Analyze.");
+    return;
+  }
+
+  analyzeBtn.disabled = true;
+  setGroundBtn.disabled = true;
+  processUploadBtn.disabled = true;
+
+  const cfg = getCaptureConfig();
+
+  analyzeState = "warmup";
+  renderProtocolPreview();
+  if (cfg.warmupSec > 0) {
+    if (protocolOnInput.checked) {
+      const first = buildProtocolStages()[0];
+      setStatus(`Warm-up: set the belt to ${fmtSpeed(first.speedMS)} and run naturally (${cfg.warmupSec} seconds).`);
+    } else {
+      setStatus(`Warm-up: run naturally (${cfg.warmupSec} seconds).`);
+    }
+    await sleepWithCountdownHUD(cfg.warmupSec, "WARM-UP");
+    if (analyzeState !== "warmup") return;
+  }
+
+  analyzeState = "countdown";
+  setStatus("Get ready… analysis begins soon.");
+  for (let i = cfg.countdownSec; i >= 1; i--) {
+    setHUD(`ANALYZE IN ${i}`);
+    await new Promise((r) => setTimeout(r, 1000));
+    if (analyzeState !== "countdown") return;
+  }
+  setHUD("");
+
+  resetAnalysisMetricsOnly();
+  analyzeState = "analyzing";
+  if (protocolOnInput.checked) {
+    startProtocol();
+    setStatus("Analyzing… speed-ramp protocol running.");
+  } else {
+    setStatus(`Analyzing… capturing ${describeCaptureTarget(capture)}.`);
+    setHUD("ANALYZING…");
+  }
+}
+
+async function sleepWithCountdownHUD(seconds, label) {
+  for (let s = seconds; s >= 1; s--) {
+    setHUD(`${label} ${s}s`);
+    await new Promise((r) => setTimeout(r, 1000));
+    if (analyzeState !== "warmup") break;
+  }
+  setHUD("");
+}
+
+function resetAnalysisMetricsOnly() {
+  engine.reset();
+
+  stepCount = 0;
+  capture = getCaptureConfig();
+  captureStartT = null;
+
+  currentSession = null;
+  reportKeyframe = null;
+  resetAngleState();
+  resetTimelineView();
+  startLandmarkRecording(usingUpload ? "upload" : "live camera");
+
+  lastSideEl.textContent = "—";
+  lastFreqEl.textContent = "—";
+
+  resetTable();
+}
+
+function stopAnalysisOnly() {
+  analyzeState = "idle";
+  protocol = null;
+  renderProtocolPreview();
+  setHUD("");
+  setStatusQuality();
+  renderTracking();
+
+  analyzeBtn.disabled = false;
+  setGroundBtn.disabled = false;
+  updateProcessUploadBtn();
+
+  setHUD("");
+  scheduleTimelineDraw();
+}
+
+// ---------------- Live camera loop ----------------
+async function loopLiveFrames() {
+  if (!runningLoop) return;
+
+  try {
+    lastFrameTimeMs = performance.now();
+    await pose.send(videoEl, lastFrameTimeMs);
+  } catch (e) {
+    console.error(e);
+    setStatus(`Pose error: ${e?.message || e}`);
+    stopAll(true);
+    return;
+  }
+
+  rafId = requestAnimationFrame(loopLiveFrames);
+}
+
+// ---------------- Upload processing loop ----------------
+// Uploads are processed offline: seek to each analysis frame, wait for it to decode,
+// then run pose on it. Timing comes from the seek position, not from playback.
+function getUploadFrameMs() {
+  return 1000 / clamp(Number(uploadFpsInput.value || 60), 5, 240);
+}
+
+function waitForVideoEvent(name, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      videoEl.removeEventListener(name, onEvent);
+      reject(new Error(`Timed out waiting for video ${name}`));
+    }, timeoutMs);
+    function onEvent() {
+      clearTimeout(timer);
+      resolve();
+    }
+    videoEl.addEventListener(name, onEvent, { once: true });
+  });
+}
+
+async function seekVideo(tSec) {
+  const seeked = waitForVideoEvent("seeked");
+  videoEl.currentTime = tSec;
+  await seeked;
+}
+
+// Seeks between the capture in/out points (out point defaults to the end of the video).
+async function processVideoBySeeking(label) {
+  const durMs = (videoEl.duration || 0) * 1000;
+  const inMs = Math.min(capture.inSec * 1000, durMs);
+  const outMs = capture.outSec !== null && capture.outSec * 1000 > inMs ? Math.min(capture.outSec * 1000, durMs) : durMs;
+  const frameMs = getUploadFrameMs();
+
+  for (let t = inMs; t <= outMs; t += frameMs) {
+    if (!runningLoop || uploadEndReason !== null) return;
+
+    await seekVideo(t / 1000);
+    lastFrameTimeMs = t;
+    await pose.send(videoEl, t);
+
+    if (!protocol) setStatus(`${label}: ${fmt((100 * (t - inMs)) / Math.max(1, outMs - inMs), 0)}% (${stepCount} steps)`);
+  }
+
+  if (runningLoop && uploadEndReason === null && outMs < durMs) uploadEndReason = "Reached out point";
+}
+
+// Process Upload stays off until a batch has exited: after Stop it may still be awaiting videoEl
+function updateProcessUploadBtn() {
+  processUploadBtn.disabled = uploadBatch !== null || videoFileInput.files.length === 0;
+}
+
+function uploadResult(file, status) {
+  return {
+    fileName: file.name,
+    status,
+    detector: describeStrikeDetectors(),
+    rows: rows.map((r) => ({ ...r })),
+    transitions: transitions.map((t) => ({ ...t }))
+  };
+}
+
+async function processUploadFile(file, i, n, batch) {
+  // a calibrated ground line carries over to every file (same camera setup)
+  const calibrated = groundCalibrated ? { groundY, groundSlope } : null;
+  resetAllState();
+  if (calibrated) {
+    ({ groundY, groundSlope } = calibrated);
+    groundCalibrated = true;
+    landmarkRecording.settings = currentSettings(); // snapshot was taken while the line was cleared
+  }
+  usingUpload = true;
+  analyzeState = "idle";
+  uploadEndReason = null;
+  landmarkRecording.source = file.name;
+
+  if (uploadedUrl) URL.revokeObjectURL(uploadedUrl);
+  uploadedUrl = URL.createObjectURL(file);
+
+  videoEl.srcObject = null;
+  videoEl.muted = true;
+  videoEl.playsInline = true;
+  const loaded = waitForVideoEvent("loadeddata");
+  videoEl.src = uploadedUrl;
+  await loaded;
+  videoEl.pause();
+  if (batch.stopped) return uploadResult(file, "Stopped");
+
+  // stages are timed from the in point of each video
+  if (protocolOnInput.checked) startProtocol();
+
+  const label = `File ${i + 1}/${n} (${file.name})`;
+  setHUD(n > 1 ? `FILE ${i + 1}/${n}` : "UPLOADED VIDEO");
+  setStatus(`${label}: loading…`);
+
+  runningLoop = true;
+  updateReviewControls();
+  await processVideoBySeeking(label);
+
+  const status = !runningLoop || batch.stopped ? "Stopped" : (uploadEndReason || "End of video");
+  runningLoop = false;
+  return uploadResult(file, status);
+}
+
+// ---------------- Video review ----------------
+// After an upload: a table row (or a spot on the timeline) seeks the video there; frame
+// stepping walks the analyzed frames and the overlay shows the landmarks recorded for them.
+function isReviewAvailable() {
+  return uploadedUrl !== null && !runningLoop && videoEl.readyState >= 1;
+}
+
+function updateReviewControls() {
+  const off = !isReviewAvailable();
+  reviewPrevBtn.disabled = off;
+  reviewPlayBtn.disabled = off;
+  reviewNextBtn.disabled = off;
+  if (off) {
+    reviewCursorMs = null;
+    reviewTimeEl.textContent = "";
+  }
+}
+
+// index of the recorded frame closest to tMs, or -1 (frames are in time order)
+function recordedFrameIndexAt(tMs) {
+  const frames = landmarkRecording?.frames ?? [];
+  let lo = 0, hi = frames.length - 1;
+  if (hi < 0) return -1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (frames[mid].tMs < tMs) lo = mid + 1;
+    else hi = mid;
+  }
+  if (lo > 0 && tMs - frames[lo - 1].tMs < frames[lo].tMs - tMs) lo -= 1;
+  return lo;
+}
+
+function drawReviewFrame() {
+  const tMs = videoEl.currentTime * 1000;
+  const frames = landmarkRecording?.frames ?? [];
+  const i = recordedFrameIndexAt(tMs);
+  const f = i >= 0 && Math.abs(frames[i].tMs - tMs) <= getUploadFrameMs() / 2 + 1 ? frames[i] : null;
+
+  // ground line as it was when the frame was analyzed (unless calibrated since)
+  const saved = { groundY, groundSlope };
+  if (!groundCalibrated && f && f.groundY !== null) {
+    groundY = f.groundY;
+    groundSlope = landmarkRecording.settings.groundSlope ?? 0;
+  }
+  drawResults({ image: videoEl, poseLandmarks: f?.landmarks ? landmarksFromRecord(f.landmarks) : null });
+  ({ groundY, groundSlope } = saved);
+
+  reviewCursorMs = tMs;
+  reviewTimeEl.textContent = f
+    ? `${fmt(tMs / 1000, 3)} s · frame ${i + 1}/${frames.length}`
+    : `${fmt(tMs / 1000, 3)} s · not analyzed`;
+  scheduleTimelineDraw();
+}
+
+// Callers do not await this, so a failed seek (timeout, decode error) is reported here
+async function reviewSeek(tMs) {
+  if (!isReviewAvailable()) return;
+  pauseReview();
+  try {
+    await seekVideo(clamp(tMs, 0, (videoEl.duration || 0) * 1000) / 1000);
+    drawReviewFrame();
+  } catch (e) {
+    console.error(e);
+    setStatus(`Seeking the video failed: ${e?.message || e}`);
+  }
+}
+
+// previous/next analyzed frame (or one analysis frame interval when nothing was recorded there)
+function reviewStep(dir) {
+  const frames = landmarkRecording?.frames ?? [];
+  const tNow = videoEl.currentTime * 1000;
+  let i = recordedFrameIndexAt(tNow);
+  if (i >= 0 && (dir > 0 ? frames[i].tMs <= tNow + 0.5 : frames[i].tMs >= tNow - 0.5)) i += dir;
+  const target = i >= 0 && i < frames.length ? frames[i].tMs : tNow + dir * getUploadFrameMs();
+  reviewSeek(target);
+}
+
+function loopReviewPlayback() {
+  if (!reviewPlaying) return;
+  drawReviewFrame();
+  if (videoEl.ended || videoEl.paused) {
+    pauseReview();
+    return;
+  }
+  reviewRafId = requestAnimationFrame(loopReviewPlayback);
+}
+
+async function toggleReviewPlayback() {
+  if (reviewPlaying) {
+    pauseReview();
+    return;
+  }
+  if (!isReviewAvailable()) return;
+
+  videoEl.playbackRate = Number(reviewRateSelect.value || 0.25);
+  reviewPlaying = true;
+  reviewPlayBtn.textContent = "Pause";
+  try {
+    await videoEl.play();
+  } catch (e) {
+    console.error(e);
+    pauseReview();
+    return;
+  }
+  reviewRafId = requestAnimationFrame(loopReviewPlayback);
+}
+
+// the review is tied to the uploaded video; without it there is nothing to seek
+function releaseUploadedVideo() {
+  pauseReview();
+  if (uploadedUrl) {
+    URL.revokeObjectURL(uploadedUrl);
+    uploadedUrl = null;
+  }
+  updateReviewControls();
+}
+
+function pauseReview() {
+  if (!reviewPlaying) return;
+  reviewPlaying = false;
+  reviewPlayBtn.textContent = "Play";
+  if (reviewRafId) {
+    cancelAnimationFrame(reviewRafId);
+    reviewRafId = null;
+  }
+  videoEl.pause();
+  drawReviewFrame();
+}
+
+function selectReviewRow(i) {
+  for (const [k, tr] of Array.from(tbody.children).entries()) tr.classList.toggle("reviewRow", k === i);
+}
+
+function onResultsRowClick(e) {
+  const tr = e.target.closest("tr");
+  if (!tr || tr.parentElement !== tbody) return;
+  const i = Array.prototype.indexOf.call(tbody.children, tr);
+  if (!rows[i]) return;
+
+  if (!isReviewAvailable()) {
+    setStatus("Video review needs a processed upload (live captures keep no footage).");
+    return;
+  }
+  selectReviewRow(i);
+  reviewSeek(rows[i].tMs);
+}
+
+// ---------------- Batch summary + export ----------------
+function summarizeBatchResult(res) {
+  const used = summaryRows(res.rows);
+  return {
+    steps: res.rows.length,
+    stepTimeMs: mean(used.map((r) => r.stepTimeMs)),
+    strideTimeMs: mean(used.map((r) => r.strideTimeMs)),
+    stepLenM: mean(used.map((r) => r.stepLenM)),
+    strideFreqHz: mean(used.map((r) => r.strideFreqHz)),
+    transitions: res.transitions
+      .map((t) => `${t.from}→${t.to} @ ${fmt(t.speedMS, 2)} m/s (${fmt(t.tMs / 1000, 2)} s)`)
+      .join("; ")
+  };
+}
 
-  if (results.poseLandmarks) {
-    drawConnectors(ctx, results.poseLandmarks, POSE_CONNECTIONS, { lineWidth: 3 });
-    drawLandmarks(ctx, results.poseLandmarks, { lineWidth: 2, radius: 2 });
+function renderBatchSummary() {
+  batchTbody.innerHTML = "";
+  batchCard.hidden = batchResults.length === 0;
+  batchDownloadBtn.disabled = batchResults.length === 0;
+
+  for (const res of batchResults) {
+    const sm = summarizeBatchResult(res);
+    const tr = document.createElement("tr");
+    const cells = [
+      res.fileName,
+      res.status,
+      String(sm.steps),
+      fmtInt(sm.stepTimeMs),
+      fmtInt(sm.strideTimeMs),
+      fmt(sm.stepLenM, 3),
+      fmt(sm.strideFreqHz, 3),
+      sm.transitions || "—"
+    ];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    batchTbody.appendChild(tr);
   }
+}
 
-  drawGroundOverlay();
-  ctx.restore();
+function resetBatch() {
+  batchResults.length = 0;
+  renderBatchSummary();
 }
 
-// ---------------- Pose callback ----------------
-async function onPoseResults(results) {
-  if (!runningLoop) return;
+// One CSV for the whole batch: every step keyed by file, then a per-file summary
+function downloadBatchCSV() {
+  if (batchResults.length === 0) return;
 
-  totalFrames += 1;
+  const lines = [["File", ...ROW_COLUMNS.map((c) => c.header)].join(",")];
+  for (const res of batchResults) {
+    for (const r of res.rows) {
+      lines.push([csvText(res.fileName), ...ROW_COLUMNS.map((c) => c.csv(r))].join(","));
+    }
+  }
 
-  if (results.poseLandmarks && results.poseLandmarks.length > 0) {
-    lastLandmarks = results.poseLandmarks;
+  lines.push("");
+  lines.push("Summary");
+  lines.push([
+    "File",
+    "Status",
+    "Steps",
+    "Mean Step Time (ms)",
+    "Mean Stride Time (ms)",
+    "Mean Step Length (m)",
+    "Mean Stride Frequency (Hz)",
+    "Transitions",
+    "Strike Detector"
+  ].join(","));
+  for (const res of batchResults) {
+    const sm = summarizeBatchResult(res);
+    lines.push([
+      csvText(res.fileName),
+      csvText(res.status),
+      sm.steps,
+      sm.stepTimeMs ?? "",
+      sm.strideTimeMs ?? "",
+      sm.stepLenM ?? "",
+      sm.strideFreqHz ?? "",
+      csvText(sm.transitions),
+      csvText(res.detector)
+    ].join(","));
+  }
 
-    const visThresh = clamp(Number(visThreshInput.value || 0.55), 0, 1);
-    const minStrikeMs = Math.max(120, Number(minStrikeMsInput.value || 300));
-    const smoothN = Math.max(1, Math.min(15, Number(smoothNInput.value || 5)));
-    const groundTolPx = Math.max(5, Math.min(80, Number(groundTolPxInput.value || 18)));
+  const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" });
+  downloadBlob(blob, `${exportFileStem("batch")}.csv`);
+}
 
-    facingEl.textContent = estimateFacingDirection(results.poseLandmarks);
+// ---------------- Participant + session ----------------
+function getParticipantMeta() {
+  return {
+    participantId: participantIdInput.value.trim(),
+    age: numberOrNull(participantAgeInput.value),
+    legLengthCm: numberOrNull(legLengthCmInput.value),
+    massKg: numberOrNull(participantMassInput.value),
+    condition: sessionConditionInput.value.trim(),
+    notes: sessionNotesInput.value.trim()
+  };
+}
 
-    updateEstimatedGroundFromLandmarks(results.poseLandmarks, visThresh);
+function setParticipantMeta(meta) {
+  participantIdInput.value = meta.participantId ?? "";
+  participantAgeInput.value = meta.age ?? "";
+  legLengthCmInput.value = meta.legLengthCm ?? "";
+  participantMassInput.value = meta.massKg ?? "";
+  sessionConditionInput.value = meta.condition ?? "";
+  sessionNotesInput.value = meta.notes ?? "";
+}
 
-    if (groundCalibrating) {
-      const lh = results.poseLandmarks[IDX.L_HEEL];
-      const rh = results.poseLandmarks[IDX.R_HEEL];
-      const goodL = lh && (lh.visibility ?? 0) >= visThresh;
-      const goodR = rh && (rh.visibility ?? 0) >= visThresh;
-      if (goodL) groundSamples.push(lh.y * canvasEl.height);
-      if (goodR) groundSamples.push(rh.y * canvasEl.height);
-    }
+// Settings the table was produced with: the saved session's, the last capture's, or the current ones
+function exportSettings() {
+  if (currentSession?.settings) return currentSession.settings;
+  if (landmarkRecording && landmarkRecording.frames.length > 0) return finalizedLandmarkRecording().settings;
+  return currentSettings();
+}
 
-    const rOk = (results.poseLandmarks[IDX.R_HEEL]?.visibility ?? 0) >= visThresh &&
-                (results.poseLandmarks[IDX.R_ANKLE]?.visibility ?? 0) >= visThresh;
-    const lOk = (results.poseLandmarks[IDX.L_HEEL]?.visibility ?? 0) >= visThresh &&
-                (results.poseLandmarks[IDX.L_ANKLE]?.visibility ?? 0) >= visThresh;
-    if (rOk && lOk) goodFrames += 1;
-    setStatusQuality();
+// [label, value] pairs describing who/what the table belongs to (CSV "Session" header)
+function describeSessionMeta() {
+  const meta = getParticipantMeta();
+  const settings = exportSettings();
+  const speeds = finiteValues(rows.map((r) => r.beltSpeedMS));
+  const speedInUse = settings.protocol && speeds.length
+    ? `speed-ramp protocol, ${fmt(Math.min(...speeds), 2)}–${fmt(Math.max(...speeds), 2)}`
+    : fmt(settings.speedMS, 3);
+  return [
+    ["Participant ID", meta.participantId],
+    ["Age (years)", meta.age ?? ""],
+    ["Leg length (cm)", meta.legLengthCm ?? ""],
+    ["Mass (kg)", meta.massKg ?? ""],
+    ["Condition", meta.condition],
+    ["Notes", meta.notes],
+    ["Source", currentSession?.source ?? landmarkRecording?.source ?? ""],
+    ["Recorded", currentSession?.recordedAt ?? landmarkRecording?.createdAt ?? ""],
+    ["Belt speed (m/s)", speedInUse],
+    ["Pose model", describePoseSettings(settings.pose)],
+    ["Detection", describeDetectionSettings({ ...settings, detector: settings.strikeDetector })],
+    ["Ground line", describeGroundLine(settings.groundY, settings.groundSlope, settings.groundCalibrated)],
+    ["Scale", describeScale(settings.pxPerM, settings.scaleSource)],
+    ["Tracking", describeTracking(currentTracking())],
+    ["Step cleaning", describeCleaning()],
+    ["Strike times", "seconds of video time (uploads) or camera time (live)"],
+    ["Exported", new Date().toISOString()]
+  ];
+}
 
-    drawResults(results);
+// ---------------- Session history (IndexedDB, on-device) ----------------
+// One record per saved session: participant fields, settings, rows and a small summary.
+const SESSION_DB = "treadmill-gaitlab";
+const SESSION_STORE = "sessions";
+let sessionDbPromise = null;
 
-    if (analyzeState === "analyzing" || usingUpload) {
-      const tMs = getTimeMs();
-      const r = getFootY(results.poseLandmarks, "R", visThresh);
-      const l = getFootY(results.poseLandmarks, "L", visThresh);
+// Saved session shown in the table (null = unsaved capture): { id, source, recordedAt, settings, capture, tracking }
+let currentSession = null;
 
-      if (r.ok && detectStrike("R", tMs, r.y, minStrikeMs, smoothN, groundTolPx)) registerStrike("R", tMs);
-      if (l.ok && detectStrike("L", tMs, l.y, minStrikeMs, smoothN, groundTolPx)) registerStrike("L", tMs);
-    }
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
 
-  } else {
-    setStatusQuality();
-    facingEl.textContent = "—";
-    drawResults(results);
+function openSessionDb() {
+  if (!sessionDbPromise) {
+    sessionDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available in this browser"));
+        return;
+      }
+      const req = indexedDB.open(SESSION_DB, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(SESSION_STORE, { keyPath: "id", autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    sessionDbPromise.catch(() => { sessionDbPromise = null; });
   }
+  return sessionDbPromise;
 }
 
-// ---------------- MediaPipe Pose init ----------------
-async function initPose() {
-  if (pose) return;
+async function sessionStore(mode) {
+  const db = await openSessionDb();
+  return db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE);
+}
 
-  pose = new Pose({
-    locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/pose@${POSE_VERSION}/${file}`
-  });
+function summarizeSessionRows(rs) {
+  const sm = computeSummary(rs);
+  const used = summaryRows(rs);
+  return {
+    steps: sm.steps,
+    cadenceSpm: sm.cadenceSpm,
+    stepTimeMs: mean(used.map((r) => r.stepTimeMs)),
+    strideTimeMs: mean(used.map((r) => r.strideTimeMs)),
+    stepLenM: mean(used.map((r) => r.stepLenM))
+  };
+}
 
-  pose.setOptions({
-    modelComplexity: 1,
-    smoothLandmarks: true,
-    enableSegmentation: false,
-    minDetectionConfidence: 0.5,
-    minTrackingConfidence: 0.5
-  });
+function buildSessionRecord() {
+  const rec = landmarkRecording && landmarkRecording.frames.length > 0 ? finalizedLandmarkRecording() : null;
+  const base = currentSession ?? {
+    source: rec?.source ?? null,
+    recordedAt: rec?.createdAt ?? null,
+    settings: rec ? rec.settings : null,
+    capture: capture ? { ...capture } : null,
+    tracking: engine.trackingSummary()
+  };
+  const record = {
+    ...base,
+    savedAt: new Date().toISOString(),
+    participant: getParticipantMeta(),
+    rows: rows.map((r) => ({ ...r })),
+    transitions: transitions.map((t) => ({ ...t })),
+    deletedStrikes: deletedStrikes.map((d) => ({ ...d })),
+    rejectedStrikes: engine.rejectedStrikes,
+    keyframe: reportKeyframe,
+    summary: summarizeSessionRows(rows)
+  };
+  if (record.id === undefined) delete record.id;
+  return record;
+}
 
-  pose.onResults(onPoseResults);
+function renderSessionInfo() {
+  sessionInfoEl.textContent = currentSession
+    ? `Table = saved session #${currentSession.id} (${currentSession.source || "unknown source"}). Save again to update it.`
+    : (rows.length > 0 ? "Table = current capture (not saved yet)." : "Nothing to save yet.");
 }
 
-// ---------------- Ground calibration ----------------
-async function calibrateGroundLine() {
-  if (!streamOn || !runningLoop) {
-    setStatus("Start Live Camera first, then set ground line.");
-    return;
+async function saveSession() {
+  if (rows.length === 0) return;
+  try {
+    const record = buildSessionRecord();
+    const store = await sessionStore("readwrite");
+    const id = await idbRequest(store.put(record));
+    currentSession = { id, source: record.source, recordedAt: record.recordedAt, settings: record.settings, capture: record.capture, tracking: record.tracking };
+    setStatus(`Session #${id} saved on this device.`);
+  } catch (e) {
+    console.error(e);
+    setStatus(`Saving the session failed: ${e?.message || e}`);
   }
+  renderSessionInfo();
+  await renderSessionHistory();
+}
 
-  groundCalibrating = true;
-  groundSamples = [];
-  setStatus("Calibrating ground line… keep feet visible (1 second)");
-  setHUD("CALIBRATING…");
-
-  await new Promise((resolve) => setTimeout(resolve, 1000));
+async function loadSessions() {
+  const store = await sessionStore("readonly");
+  const all = await idbRequest(store.getAll());
+  return all.sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1));
+}
 
-  groundCalibrating = false;
-  setHUD("");
+function describeSessionLabel(s) {
+  const who = [s.participant?.participantId, s.participant?.condition].filter(Boolean).join(" · ");
+  return `#${s.id} ${who || "(no participant)"} · ${s.savedAt.slice(0, 10)}`;
+}
 
-  if (groundSamples.length < 10) {
-    setStatus("Ground calibration failed (feet not visible enough). Try again.");
+async function renderSessionHistory() {
+  let sessions;
+  try {
+    sessions = await loadSessions();
+  } catch (e) {
+    historyInfoEl.textContent = `Session history unavailable: ${e?.message || e}`;
     return;
   }
 
-  const gy = percentile(groundSamples, 90);
-  groundY = gy;
-  groundCalibrated = true;
+  historyTbody.innerHTML = "";
+  for (const s of sessions) {
+    const tr = document.createElement("tr");
+    const pick = document.createElement("input");
+    pick.type = "checkbox";
+    pick.value = String(s.id);
+    pick.setAttribute("aria-label", `Compare session ${s.id}`);
+    const cells = [
+      pick,
+      `#${s.id}`,
+      s.savedAt.slice(0, 16).replace("T", " "),
+      s.participant?.participantId || "—",
+      s.participant?.condition || "—",
+      s.source || "—",
+      String(s.summary?.steps ?? s.rows.length),
+      fmt(s.summary?.cadenceSpm, 1),
+      fmtInt(s.summary?.stepTimeMs)
+    ];
+    for (const c of cells) {
+      const td = document.createElement("td");
+      if (typeof c === "string") td.textContent = c;
+      else td.appendChild(c);
+      tr.appendChild(td);
+    }
+
+    const actions = document.createElement("td");
+    const openBtn = document.createElement("button");
+    openBtn.textContent = "Open";
+    openBtn.addEventListener("click", () => openSession(s.id));
+    const deleteBtn = document.createElement("button");
+    deleteBtn.textContent = "Delete";
+    deleteBtn.addEventListener("click", () => deleteSession(s.id));
+    actions.append(openBtn, " ", deleteBtn);
+    tr.appendChild(actions);
+
+    historyTbody.appendChild(tr);
+  }
 
-  setStatus("Ground line set (calibrated).");
+  historyInfoEl.textContent = sessions.length === 0
+    ? "No saved sessions on this device yet."
+    : `${sessions.length} saved session(s) on this device. Tick sessions and press Add to Comparison.`;
 }
 
-// ---------------- Analyze workflow (live) ----------------
-async function runAnalyzeWorkflow() {
-  if (!streamOn || !runningLoop) {
-    setStatus("Start Live Camera first, then press Analyze.");
+// Shows a saved session in the table and summary panels (no frames, so the timeline stays empty)
+async function openSession(id) {
+  if (runningLoop) {
+    setStatus("Stop the camera or upload before opening a saved session.");
     return;
   }
+  let s;
+  try {
+    const store = await sessionStore("readonly");
+    s = await idbRequest(store.get(id));
+  } catch (e) {
+    console.error(e);
+    setStatus(`Opening the session failed: ${e?.message || e}`);
+    return;
+  }
+  if (!s) return;
 
-  analyzeBtn.disabled = true;
-  setGroundBtn.disabled = true;
-  processUploadBtn.disabled = true;
-
-  analyzeState = "warmup";
-  setStatus("Warm-up: run naturally (10 seconds).");
-  setHUD("WARM-UP 10s");
-  await sleepWithCountdownHUD(10, "WARM-UP");
+  // recorded frames, joint angles and the uploaded video belong to the previous capture
+  landmarkRecording = null;
+  downloadLandmarksCsvBtn.disabled = true;
+  downloadLandmarksJsonBtn.disabled = true;
+  resetAngleState();
+  releaseUploadedVideo();
 
-  analyzeState = "countdown";
-  setStatus("Get ready… analysis begins soon.");
-  for (let i = 5; i >= 1; i--) {
-    setHUD(`ANALYZE IN ${i}`);
-    await new Promise((r) => setTimeout(r, 1000));
-  }
-  setHUD("");
+  engine.reset();
+  deletedStrikes.push(...(s.deletedStrikes ?? []));
+  engine.rejectedStrikes = s.rejectedStrikes ?? 0;
+  resetTimelineView();
 
-  resetAnalysisMetricsOnly();
-  analyzeState = "analyzing";
-  setStatus("Analyzing… capturing 20 steps.");
-  setHUD("ANALYZING…");
+  resetTable();
+  for (const r of s.rows) addRowToTable({ ...r }, false);
+  transitions.push(...s.transitions.map((t) => ({ ...t })));
+  refreshAnalysis();
+  renderTransitions();
+
+  setParticipantMeta(s.participant ?? {});
+  reportKeyframe = s.keyframe ?? null;
+  currentSession = { id: s.id, source: s.source, recordedAt: s.recordedAt, settings: s.settings, capture: s.capture, tracking: s.tracking ?? null };
+  renderTracking();
+  renderSessionInfo();
+  setStatus(`Opened saved session ${describeSessionLabel(s)}.`);
 }
 
-async function sleepWithCountdownHUD(seconds, label) {
-  for (let s = seconds; s >= 1; s--) {
-    setHUD(`${label} ${s}s`);
-    await new Promise((r) => setTimeout(r, 1000));
-    if (analyzeState !== "warmup") break;
+async function deleteSession(id) {
+  if (!confirm(`Delete saved session #${id} from this device?`)) return;
+  try {
+    const store = await sessionStore("readwrite");
+    await idbRequest(store.delete(id));
+    if (currentSession?.id === id) currentSession = null;
+    renderSessionInfo();
+    setStatus(`Session #${id} deleted.`);
+  } catch (e) {
+    console.error(e);
+    setStatus(`Deleting the session failed: ${e?.message || e}`);
   }
-  setHUD("");
+  await renderSessionHistory();
 }
 
-function resetAnalysisMetricsOnly() {
-  footState.R.yHist = [];
-  footState.L.yHist = [];
-  footState.R.ySmHist = [];
-  footState.L.ySmHist = [];
-  footState.R.tLastStrike = null;
-  footState.L.tLastStrike = null;
-  footState.R.lastMaxTime = null;
-  footState.L.lastMaxTime = null;
-
-  lastAnyStrike = null;
-  lastStrikeTime = { R: null, L: null }; // important for step length
+// ---------------- Session comparison ----------------
+// Result sets (saved sessions, the current table or imported CSVs) compared against the
+// first one added (baseline): per-step distributions, Hedges' g and progress across sets.
+const COMPARE_COLORS = ["rgba(255,255,255,0.9)", "rgba(255,140,120,0.9)", "rgba(120,190,255,0.9)", "rgba(120,230,150,0.9)", "rgba(255,210,100,0.9)", "rgba(210,150,255,0.9)"];
+const COMPARE_MAX_SETS = COMPARE_COLORS.length;
+
+// values(rs) = one value per step (or per Right/Left pair), so means, SDs and effect sizes share a basis.
+// rs = the set's cleaned series, like the summaries (low-quality rows left out when excluded).
+const COMPARE_METRICS = [
+  { label: "Cadence (steps/min)", digits: 1, values: (rs) => qualityRows(rs).map((r) => (r.stepTimeMs ? 60000 / r.stepTimeMs : null)) },
+  { label: "Step Time (ms)", digits: 0, values: (rs) => qualityRows(rs).map((r) => r.stepTimeMs) },
+  { label: "Stride Time (ms)", digits: 0, values: (rs) => qualityRows(rs).map((r) => r.strideTimeMs) },
+  { label: "Step Length (m)", digits: 3, values: (rs) => qualityRows(rs).map((r) => r.stepLenM) },
+  { label: "Contact Time (ms)", digits: 0, values: (rs) => qualityRows(rs).map((r) => r.contactMs) },
+  { label: "Duty Factor", digits: 3, values: (rs) => qualityRows(rs).map((r) => r.dutyFactor) },
+  { label: "SI Step Time (%)", digits: 1, values: (rs) => pairedSymmetrySeries(rs, "stepTimeMs") },
+  { label: "SI Step Length (%)", digits: 1, values: (rs) => pairedSymmetrySeries(rs, "stepLenM") },
+  { label: "SI Contact Time (%)", digits: 1, values: (rs) => pairedSymmetrySeries(rs, "contactMs") },
+];
+
+const comparisonSets = []; // { label, origin: "saved" | "current" | "csv", rows }
+
+// Symmetry index of every adjacent Right/Left row pair (one value per pair, no overlap);
+// pairs with an excluded low-quality row are skipped rather than joined across it
+function pairedSymmetrySeries(rs, key) {
+  const used = new Set(qualityRows(rs));
+  const out = [];
+  for (let i = 1; i < rs.length; i++) {
+    const a = rs[i - 1], b = rs[i];
+    if (a.stepLabel === b.stepLabel || !used.has(a) || !used.has(b)) continue;
+    const r = a.stepLabel === "Right" ? a[key] : b[key];
+    const l = a.stepLabel === "Left" ? a[key] : b[key];
+    if (r === null || r === undefined || l === null || l === undefined) continue;
+    out.push(symmetryIndex(r, l));
+    i += 1;
+  }
+  return finiteValues(out);
+}
 
-  stepCount = 0;
+// Hedges' g (Cohen's d with small-sample correction), positive = b larger than a
+function hedgesG(a, b) {
+  const x = finiteValues(a), y = finiteValues(b);
+  const n1 = x.length, n2 = y.length;
+  if (n1 < 2 || n2 < 2) return null;
+  const s1 = sampleSD(x), s2 = sampleSD(y);
+  const pooled = Math.sqrt(((n1 - 1) * s1 ** 2 + (n2 - 1) * s2 ** 2) / (n1 + n2 - 2));
+  if (!pooled) return null;
+  const d = (mean(y) - mean(x)) / pooled;
+  return d * (1 - 3 / (4 * (n1 + n2) - 9));
+}
 
-  lastSideEl.textContent = "—";
-  lastFreqEl.textContent = "—";
+function effectSizeLabel(g) {
+  if (g === null) return "";
+  const a = Math.abs(g);
+  if (a < 0.2) return "negligible";
+  if (a < 0.5) return "small";
+  if (a < 0.8) return "medium";
+  return "large";
+}
 
-  resetTable();
+// One CSV line → cells (double-quoted cells may contain commas and "")
+function parseCsvLine(line) {
+  const cells = [];
+  let cur = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  cells.push(cur);
+  return cells;
 }
 
-function stopAnalysisOnly() {
-  analyzeState = "idle";
-  setHUD("");
-  setStatusQuality();
+const CSV_TEXT_KEYS = ["stepLabel", "mode", "edit", "correction"];
 
-  analyzeBtn.disabled = false;
-  setGroundBtn.disabled = false;
-  processUploadBtn.disabled = (videoFileInput.files.length === 0);
+// Step table (+ Session section, when present) of a CSV written by downloadCSV,
+// including older exports that only have the first six columns.
+function parseGaitCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const headerAt = lines.findIndex((l) => {
+    const cells = parseCsvLine(l);
+    return cells[0] === "Step" && cells.includes("Step Time (ms)");
+  });
+  if (headerAt < 0) throw new Error("no step table (expected a \"Step,...,Step Time (ms),...\" header)");
+
+  const fields = parseCsvLine(lines[headerAt]).map((h) => ROW_COLUMNS.find((c) => c.header === h.trim()) ?? null);
+  const rs = [];
+  for (let i = headerAt + 1; i < lines.length && lines[i].trim() !== ""; i++) {
+    const cells = parseCsvLine(lines[i]);
+    const r = {};
+    fields.forEach((col, k) => {
+      if (!col) return;
+      const v = cells[k] ?? "";
+      if (CSV_TEXT_KEYS.includes(col.key)) r[col.key] = v || null;
+      else r[col.key] = col.fromCsv && numberOrNull(v) !== null ? col.fromCsv(Number(v)) : numberOrNull(v);
+    });
+    rs.push(r);
+  }
 
-  setHUD("");
+  const meta = {};
+  const sessionAt = lines.findIndex((l) => l.trim() === "Session");
+  if (sessionAt >= 0) {
+    for (let i = sessionAt + 1; i < lines.length && lines[i].trim() !== ""; i++) {
+      const [label, value] = parseCsvLine(lines[i]);
+      meta[label] = value;
+    }
+  }
+  return { rows: rs, meta };
 }
 
-// ---------------- Live camera loop ----------------
-async function loopLiveFrames() {
-  if (!runningLoop) return;
+function addComparisonSet(set) {
+  if (comparisonSets.length >= COMPARE_MAX_SETS) {
+    setStatus(`Comparison holds at most ${COMPARE_MAX_SETS} result sets; clear it first.`);
+    return false;
+  }
+  if (set.rows.length === 0) {
+    setStatus(`${set.label} has no steps to compare.`);
+    return false;
+  }
+  comparisonSets.push(set);
+  return true;
+}
 
+// Ticked sessions of the history table, oldest first
+async function compareSelectedSessions() {
+  const ids = Array.from(historyTbody.querySelectorAll("input[type=checkbox]:checked"), (el) => Number(el.value));
+  if (ids.length === 0) {
+    setStatus("Tick one or more saved sessions to add them to the comparison.");
+    return;
+  }
+  let sessions;
   try {
-    lastFrameTimeMs = performance.now();
-    await pose.send({ image: videoEl });
+    sessions = (await loadSessions()).filter((s) => ids.includes(s.id)).reverse();
   } catch (e) {
     console.error(e);
-    setStatus(`Pose error: ${e?.message || e}`);
-    stopAll(true);
+    setStatus(`Loading the saved sessions failed: ${e?.message || e}`);
     return;
   }
-
-  rafId = requestAnimationFrame(loopLiveFrames);
+  for (const s of sessions) {
+    if (!addComparisonSet({ label: describeSessionLabel(s), origin: "saved", rows: s.rows })) break;
+  }
+  renderComparison();
 }
 
-// ---------------- Upload processing loop ----------------
-function startUploadFrameLoop() {
-  const hasRVFC = typeof videoEl.requestVideoFrameCallback === "function";
-
-  const tickRAF = async () => {
-    if (!runningLoop) return;
-
-    if (videoEl.ended) {
-      setStatus("Upload finished.");
-      stopAll(true);
-      return;
-    }
-
-    lastFrameTimeMs = videoEl.currentTime * 1000;
+function compareCurrentTable() {
+  const meta = getParticipantMeta();
+  const who = [meta.participantId, meta.condition].filter(Boolean).join(" · ");
+  addComparisonSet({ label: `Current table${who ? ` (${who})` : ""}`, origin: "current", rows: rows.map((r) => ({ ...r })) });
+  renderComparison();
+}
 
+async function importComparisonCsv(files) {
+  for (const file of files) {
     try {
-      await pose.send({ image: videoEl });
+      const { rows: rs, meta } = parseGaitCsv(await file.text());
+      const who = [meta["Participant ID"], meta["Condition"]].filter(Boolean).join(" · ");
+      if (!addComparisonSet({ label: who ? `${who} (${file.name})` : file.name, origin: "csv", rows: rs })) break;
     } catch (e) {
       console.error(e);
-      setStatus(`Pose error: ${e?.message || e}`);
-      stopAll(true);
-      return;
+      setStatus(`Could not import ${file.name}: ${e?.message || e}`);
     }
+  }
+  renderComparison();
+}
 
-    rafId = requestAnimationFrame(tickRAF);
-  };
+function clearComparison() {
+  comparisonSets.length = 0;
+  renderComparison();
+}
 
-  if (!hasRVFC) {
-    rafId = requestAnimationFrame(tickRAF);
-    return;
+function fillHeadRow(tr, labels) {
+  tr.innerHTML = "";
+  for (const text of labels) {
+    const th = document.createElement("th");
+    th.textContent = text;
+    tr.appendChild(th);
+  }
+}
+
+function appendTextRow(body, cells) {
+  const tr = document.createElement("tr");
+  for (const text of cells) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    tr.appendChild(td);
   }
+  body.appendChild(tr);
+}
 
-  const tickRVFC = async (_now, metadata) => {
-    if (!runningLoop) return;
+function renderComparison() {
+  const sets = comparisonSets;
+  const cleaned = sets.map((s) => cleanedSeries(s.rows).rows);
+  compareClearBtn.disabled = sets.length === 0;
+
+  fillHeadRow(comparisonHeadRow, ["Metric", ...sets.map((s, i) => `${i + 1}. ${s.label}`)]);
+  comparisonTbody.innerHTML = "";
+  if (sets.length > 0) appendTextRow(comparisonTbody, ["Steps", ...sets.map((s) => String(s.rows.length))]);
+  for (const m of COMPARE_METRICS) {
+    if (sets.length === 0) break;
+    appendTextRow(comparisonTbody, [m.label, ...cleaned.map((rs) => {
+      const d = describe(m.values(rs));
+      return d.n > 0 ? `${fmt(d.mean, m.digits)} ± ${fmt(d.sd, m.digits) || "—"} (n=${d.n})` : "—";
+    })]);
+  }
 
-    if (videoEl.ended) {
-      setStatus("Upload finished.");
-      stopAll(true);
-      return;
-    }
+  const others = sets.slice(1);
+  fillHeadRow(effectHeadRow, ["Metric", ...others.map((s, i) => `${i + 2} vs 1`)]);
+  effectTbody.innerHTML = "";
+  for (const m of COMPARE_METRICS) {
+    if (others.length === 0) break;
+    const base = m.values(cleaned[0]);
+    appendTextRow(effectTbody, [m.label, ...cleaned.slice(1).map((rs) => {
+      const v = m.values(rs);
+      const diff = mean(v) !== null && mean(base) !== null ? mean(v) - mean(base) : null;
+      const g = hedgesG(base, v);
+      if (diff === null) return "—";
+      const sign = diff > 0 ? "+" : "";
+      return `Δ ${sign}${fmt(diff, m.digits)} · g ${g === null ? "—" : fmt(g, 2)} ${effectSizeLabel(g)}`.trim();
+    })]);
+  }
 
-    lastFrameTimeMs = metadata.mediaTime * 1000;
+  comparisonInfoEl.textContent = sets.length === 0
+    ? "Add saved sessions, the current table or exported CSVs to compare them."
+    : `${sets.length} result set(s), each as its cleaned series (step cleaning and low-quality exclusion from Inputs). ` +
+      `Set 1 is the baseline for the differences (Δ) and effect sizes (Hedges' g: 0.2 small, 0.5 medium, 0.8 large).`;
 
-    try {
-      await pose.send({ image: videoEl });
-    } catch (e) {
-      console.error(e);
-      setStatus(`Pose error: ${e?.message || e}`);
-      stopAll(true);
-      return;
+  drawComparisonDistributions(cleaned);
+  drawComparisonProgress(cleaned);
+  drawComparisonSymmetry(cleaned);
+}
+
+function drawChartMessage(c, W, H, text) {
+  c.clearRect(0, 0, W, H);
+  c.fillStyle = "rgba(170,179,214,0.9)";
+  c.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+  c.fillText(text, 36, H / 2);
+}
+
+// Stride time density per set (Gaussian kernel, Silverman bandwidth)
+function drawComparisonDistributions(cleaned) {
+  const c = compareDistCanvas.getContext("2d");
+  const W = compareDistCanvas.width, H = compareDistCanvas.height, pad = 36;
+  const series = cleaned.map((rs) => finiteValues(qualityRows(rs).map((r) => r.strideTimeMs)));
+  const all = series.flat();
+  if (all.length < 3) {
+    drawChartMessage(c, W, H, "Stride time distributions: add result sets");
+    return;
+  }
+  c.clearRect(0, 0, W, H);
+
+  let lo = Math.min(...all), hi = Math.max(...all);
+  const span = Math.max(40, hi - lo);
+  lo -= span * 0.15;
+  hi += span * 0.15;
+  const xs = Array.from({ length: 120 }, (_, i) => lo + ((hi - lo) * i) / 119);
+  const curves = series.map((v) => {
+    if (v.length < 2) return null;
+    const h = Math.max(2, 1.06 * (sampleSD(v) || 0) * Math.pow(v.length, -0.2));
+    return xs.map((x) => v.reduce((a, y) => a + Math.exp(-0.5 * ((x - y) / h) ** 2), 0) / (v.length * h * Math.sqrt(2 * Math.PI)));
+  });
+  const top = Math.max(...curves.filter(Boolean).flat()) || 1;
+  const px = (v) => pad + ((v - lo) / (hi - lo)) * (W - 2 * pad);
+  const py = (d) => H - pad - (d / top) * (H - 2 * pad);
+
+  c.strokeStyle = "rgba(255,255,255,0.12)";
+  c.strokeRect(pad, pad, W - 2 * pad, H - 2 * pad);
+  c.lineWidth = 2;
+  curves.forEach((curve, k) => {
+    if (!curve) return;
+    c.strokeStyle = COMPARE_COLORS[k];
+    c.beginPath();
+    curve.forEach((d, i) => (i ? c.lineTo(px(xs[i]), py(d)) : c.moveTo(px(xs[i]), py(d))));
+    c.stroke();
+  });
+  c.lineWidth = 1;
+
+  c.fillStyle = "rgba(170,179,214,0.9)";
+  c.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+  c.fillText(`stride time (ms)  ${Math.round(lo)}–${Math.round(hi)}`, pad, H - 10);
+  c.fillText("density", 4, pad - 8);
+}
+
+// Mean ± SD cadence per set in the order added (progress across sessions)
+function drawComparisonProgress(cleaned) {
+  const c = compareProgressCanvas.getContext("2d");
+  const W = compareProgressCanvas.width, H = compareProgressCanvas.height, pad = 36;
+  const stats = cleaned.map((rs) => describe(COMPARE_METRICS[0].values(rs)));
+  const ok = stats.filter((d) => d.n > 0);
+  if (ok.length === 0) {
+    drawChartMessage(c, W, H, "Cadence progress: add result sets");
+    return;
+  }
+  c.clearRect(0, 0, W, H);
+
+  let lo = Math.min(...ok.map((d) => d.mean - (d.sd || 0)));
+  let hi = Math.max(...ok.map((d) => d.mean + (d.sd || 0)));
+  const span = Math.max(6, hi - lo);
+  lo -= span * 0.15;
+  hi += span * 0.15;
+  const n = stats.length;
+  const px = (i) => pad + ((i + 0.5) / n) * (W - 2 * pad);
+  const py = (v) => H - pad - ((v - lo) / (hi - lo)) * (H - 2 * pad);
+
+  c.strokeStyle = "rgba(255,255,255,0.12)";
+  c.strokeRect(pad, pad, W - 2 * pad, H - 2 * pad);
+  c.beginPath();
+  let started = false;
+  stats.forEach((d, i) => {
+    if (d.n === 0) return;
+    if (started) c.lineTo(px(i), py(d.mean));
+    else c.moveTo(px(i), py(d.mean));
+    started = true;
+  });
+  c.stroke();
+
+  c.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+  stats.forEach((d, i) => {
+    if (d.n === 0) return;
+    c.strokeStyle = c.fillStyle = COMPARE_COLORS[i];
+    if (d.sd) {
+      c.beginPath();
+      c.moveTo(px(i), py(d.mean - d.sd));
+      c.lineTo(px(i), py(d.mean + d.sd));
+      c.stroke();
     }
+    c.beginPath();
+    c.arc(px(i), py(d.mean), 4, 0, 2 * Math.PI);
+    c.fill();
+    c.fillText(String(i + 1), px(i) - 3, H - pad + 14);
+  });
 
-    videoEl.requestVideoFrameCallback(tickRVFC);
-  };
+  c.fillStyle = "rgba(170,179,214,0.9)";
+  c.fillText(`cadence (steps/min)  ${fmt(lo, 0)}–${fmt(hi, 0)}`, pad, pad - 8);
+}
 
-  videoEl.requestVideoFrameCallback(tickRVFC);
+// Mean pairwise symmetry index per set, grouped by metric
+function drawComparisonSymmetry(cleaned) {
+  const c = compareSymmetryCanvas.getContext("2d");
+  const W = compareSymmetryCanvas.width, H = compareSymmetryCanvas.height, pad = 36;
+  const metrics = COMPARE_METRICS.filter((m) => m.label.startsWith("SI "));
+  const means = metrics.map((m) => cleaned.map((rs) => mean(m.values(rs))));
+  const all = finiteValues(means.flat());
+  if (all.length === 0) {
+    drawChartMessage(c, W, H, "Symmetry: add result sets");
+    return;
+  }
+  c.clearRect(0, 0, W, H);
+
+  const lim = Math.max(2, ...all.map(Math.abs)) * 1.15;
+  const py = (v) => H / 2 - (v / lim) * (H / 2 - pad);
+  const groupW = (W - 2 * pad) / metrics.length;
+  const barW = Math.max(3, (groupW * 0.7) / Math.max(1, comparisonSets.length));
+
+  c.strokeStyle = "rgba(255,255,255,0.12)";
+  c.strokeRect(pad, pad, W - 2 * pad, H - 2 * pad);
+  c.beginPath();
+  c.moveTo(pad, py(0));
+  c.lineTo(W - pad, py(0));
+  c.stroke();
+
+  c.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+  metrics.forEach((m, g) => {
+    const x0 = pad + g * groupW + groupW * 0.15;
+    means[g].forEach((v, k) => {
+      if (v === null) return;
+      c.fillStyle = COMPARE_COLORS[k];
+      const y = py(v);
+      c.fillRect(x0 + k * barW, Math.min(y, py(0)), barW - 1, Math.abs(y - py(0)));
+    });
+    c.fillStyle = "rgba(170,179,214,0.9)";
+    c.fillText(m.label.replace(/^SI | \(%\)$/g, ""), pad + g * groupW + 4, H - 10);
+  });
+  c.fillText(`SI (%), + = right larger  ±${fmt(lim, 1)}`, pad, pad - 8);
 }
 
 // ---------------- Stop / Reset / Export ----------------
 function stopAll(setStoppedStatus = true) {
+  if (uploadBatch) uploadBatch.stopped = true;
   analyzeState = "idle";
   usingUpload = false;
+  protocol = null;
+  renderProtocolPreview();
+  scheduleTimelineDraw();
+  renderTracking();
 
   runningLoop = false;
   streamOn = false;
@@ -702,7 +4058,7 @@ function stopAll(setStoppedStatus = true) {
   analyzeBtn.disabled = true;
   setGroundBtn.disabled = true;
 
-  processUploadBtn.disabled = (videoFileInput.files.length === 0);
+  updateProcessUploadBtn();
 
   if (rafId) {
     cancelAnimationFrame(rafId);
@@ -714,10 +4070,9 @@ function stopAll(setStoppedStatus = true) {
     stream = null;
   }
 
-  if (uploadedUrl) {
-    URL.revokeObjectURL(uploadedUrl);
-    uploadedUrl = null;
-  }
+  // the uploaded video stays loaded for review; it is released when the next source starts
+  pauseReview();
+  updateReviewControls();
 
   setHUD("");
   if (setStoppedStatus) setStatus("Stopped");
@@ -725,14 +4080,15 @@ function stopAll(setStoppedStatus = true) {
 
 function resetAllState() {
   groundY = null;
+  groundSlope = 0;
   groundCalibrated = false;
   groundCalibrating = false;
   groundSamples = [];
+  overlayPick = null;
 
   lastLandmarks = null;
 
-  goodFrames = 0;
-  totalFrames = 0;
+  qualityWindow.length = 0;
   qualityEl.textContent = "—";
   facingEl.textContent = "—";
   lastSideEl.textContent = "—";
@@ -744,6 +4100,65 @@ function resetAllState() {
 
 // ---------------- Events ----------------
 downloadBtn.addEventListener("click", () => downloadCSV());
+downloadJsonBtn.addEventListener("click", () => downloadResultsJSON());
+downloadXlsxBtn.addEventListener("click", () => downloadResultsXlsx());
+downloadEventsBtn.addEventListener("click", () => downloadGaitEvents());
+reportHtmlBtn.addEventListener("click", () => openReportHtml());
+reportPdfBtn.addEventListener("click", () => downloadReportPdf());
+downloadAnglesBtn.addEventListener("click", () => downloadAnglesCSV());
+downloadLandmarksCsvBtn.addEventListener("click", () => downloadLandmarksCSV());
+downloadLandmarksJsonBtn.addEventListener("click", () => downloadLandmarksJSON());
+
+sessionFileInput.addEventListener("change", async () => {
+  if (sessionFileInput.files.length > 0) await loadSessionFile(sessionFileInput.files[0]);
+});
+
+useLastCaptureBtn.addEventListener("click", () => {
+  if (!landmarkRecording || landmarkRecording.frames.length === 0) {
+    setStatus("No recorded capture yet. Analyze or process an upload first.");
+    return;
+  }
+  setReanalysisSource(finalizedLandmarkRecording(), "Last capture");
+});
+
+reanalyzeBtn.addEventListener("click", () => runReanalysis());
+
+// a different pose model is loaded right away, or at the next start while running
+for (const el of [poseBackendSelect, poseModelSelect, poseDetConfInput, poseTrackConfInput]) {
+  el.addEventListener("change", () => {
+    if (runningLoop) setStatus("Pose model settings apply from the next Start Live Camera / Process Upload.");
+    else initPose().catch((e) => console.error(e));
+  });
+}
+
+for (const el of [excludeLowQualityInput, cleaningModeSelect, cleaningTolPctInput]) {
+  el.addEventListener("change", () => {
+    refreshAnalysis();
+    renderBatchSummary();
+    renderComparison();
+  });
+}
+
+timelineCanvas.addEventListener("mousedown", onTimelineMouseDown);
+timelineCanvas.addEventListener("mousemove", onTimelineMouseMove);
+window.addEventListener("mouseup", onTimelineMouseUp);
+timelineCanvas.addEventListener("dblclick", onTimelineDoubleClick);
+timelineCanvas.addEventListener("contextmenu", onTimelineContextMenu);
+timelineCanvas.addEventListener("keydown", onTimelineKeyDown);
+timelineCanvas.addEventListener("wheel", onTimelineWheel, { passive: false });
+timelineFitBtn.addEventListener("click", () => {
+  timelineView = null;
+  scheduleTimelineDraw();
+});
+
+tbody.addEventListener("click", onResultsRowClick);
+reviewPrevBtn.addEventListener("click", () => reviewStep(-1));
+reviewNextBtn.addEventListener("click", () => reviewStep(1));
+reviewPlayBtn.addEventListener("click", () => toggleReviewPlayback());
+reviewRateSelect.addEventListener("change", () => {
+  videoEl.playbackRate = Number(reviewRateSelect.value || 0.25);
+});
+batchDownloadBtn.addEventListener("click", () => downloadBatchCSV());
 
 resetBtn.addEventListener("click", () => {
   resetAllState();
@@ -752,13 +4167,38 @@ resetBtn.addEventListener("click", () => {
 
 stopBtn.addEventListener("click", () => stopAll(true));
 
+for (const el of [protocolOnInput, protocolStartInput, protocolStepInput, protocolStageSecInput, protocolStagesInput, protocolRampDownInput, speedUnitSelect]) {
+  el.addEventListener("change", () => {
+    renderProtocolPreview();
+    renderCaptureConfig();
+  });
+}
+
+for (const el of [captureModeSelect, captureStepsInput, captureSecInput, warmupSecInput, countdownSecInput]) {
+  el.addEventListener("change", () => renderCaptureConfig());
+}
+
 videoFileInput.addEventListener("change", () => {
-  processUploadBtn.disabled = (videoFileInput.files.length === 0);
+  updateProcessUploadBtn();
 });
 
 setGroundBtn.addEventListener("click", async () => {
   await calibrateGroundLine();
 });
+clickGroundBtn.addEventListener("click", () => startGroundClick());
+resetGroundBtn.addEventListener("click", () => resetGroundLine());
+scaleClickBtn.addEventListener("click", () => startScaleClick());
+scaleLegBtn.addEventListener("click", () => setScaleFromLegLength());
+
+saveSessionBtn.addEventListener("click", () => saveSession());
+compareSessionsBtn.addEventListener("click", () => compareSelectedSessions());
+compareCurrentBtn.addEventListener("click", () => compareCurrentTable());
+compareClearBtn.addEventListener("click", () => clearComparison());
+compareCsvFile.addEventListener("change", async () => {
+  await importComparisonCsv(Array.from(compareCsvFile.files || []));
+  compareCsvFile.value = "";
+});
+canvasEl.addEventListener("click", onOverlayClick);
 
 analyzeBtn.addEventListener("click", async () => {
   if (analyzeState !== "idle") return;
@@ -768,16 +4208,14 @@ analyzeBtn.addEventListener("click", async () => {
 // ---------------- Start Live Camera ----------------
 startCamBtn.addEventListener("click", async () => {
   try {
+    if (!isPoseReady()) setStatus("Loading pose model…");
     await initPose();
     resetAllState();
 
     usingUpload = false;
     setHUD("");
 
-    if (uploadedUrl) {
-      URL.revokeObjectURL(uploadedUrl);
-      uploadedUrl = null;
-    }
+    releaseUploadedVideo();
 
     videoEl.srcObject = null;
     videoEl.src = "";
@@ -821,61 +4259,69 @@ startCamBtn.addEventListener("click", async () => {
   }
 });
 
-// ---------------- Process Uploaded Video ----------------
+// ---------------- Process Uploaded Video(s) ----------------
 processUploadBtn.addEventListener("click", async () => {
+  const files = Array.from(videoFileInput.files);
+  if (files.length === 0) {
+    setStatus("Choose a video file first.");
+    return;
+  }
+  if (uploadBatch) return;
+
+  const batch = uploadBatch = { stopped: false };
+  processUploadBtn.disabled = true;
   try {
+    if (!isPoseReady()) setStatus("Loading pose model…");
     await initPose();
-    resetAllState();
-
-    const file = videoFileInput.files[0];
-    if (!file) {
-      setStatus("Choose a video file first.");
+    if (batch.stopped) {
+      setStatus("Upload stopped before the first file.");
       return;
     }
-
-    usingUpload = true;
-    analyzeState = "idle";
+    resetBatch();
+    pauseReview();
 
     if (stream) {
       stream.getTracks().forEach(t => t.stop());
       stream = null;
     }
-
-    if (uploadedUrl) URL.revokeObjectURL(uploadedUrl);
-    uploadedUrl = URL.createObjectURL(file);
-
-    videoEl.srcObject = null;
-    videoEl.src = uploadedUrl;
-    videoEl.muted = true;
-    videoEl.playsInline = true;
-
-    setStatus("Loading uploaded video…");
-    await videoEl.play();
+    streamOn = false;
 
     startCamBtn.disabled = true;
     stopBtn.disabled = false;
 
     setGroundBtn.disabled = true;
     analyzeBtn.disabled = true;
+    processUploadBtn.disabled = true;
 
-    setStatus("Processing upload… capturing 20 steps.");
-    setHUD("UPLOADED VIDEO");
-
-    runningLoop = true;
-    streamOn = false;
+    for (let i = 0; i < files.length && !batch.stopped; i++) {
+      const res = await processUploadFile(files[i], i, files.length, batch);
+      batchResults.push(res);
+      renderBatchSummary();
+      if (res.status === "Stopped") break;
+    }
 
-    startUploadFrameLoop();
+    const stopped = batch.stopped || batchResults.some((r) => r.status === "Stopped");
+    stopAll(false);
+    setStatus(stopped
+      ? `Upload stopped after ${batchResults.length}/${files.length} file(s).`
+      : `Upload analysis finished (${files.length} file(s)). Table shows the last file; see Batch Summary.`);
 
   } catch (e) {
     console.error(e);
     setStatus(`Upload failed: ${e?.message || e}`);
     stopAll(false);
+  } finally {
+    uploadBatch = null;
+    updateProcessUploadBtn();
   }
 });
 
 // ---------------- Initial UI ----------------
 function initUI() {
   resetAllState();
+  renderScaleInfo();
+  renderProtocolPreview();
+  renderCaptureConfig();
 
   startCamBtn.disabled = false;
   stopBtn.disabled = true;
@@ -884,9 +4330,16 @@ function initUI() {
   analyzeBtn.disabled = true;
 
   processUploadBtn.disabled = true;
-  downloadBtn.disabled = true;
+  updateExportButtons();
+  resetBatch();
+  renderSessionInfo();
+  renderSessionHistory();
+  renderComparison();
 
   setStatus("Ready (open via GitHub Pages HTTPS link)");
+  registerServiceWorker();
+  checkBundledMediapipe();
+  initPose().catch((e) => console.error(e)); // load the model up front; shown in the model status line
 }
 
 initUI();
@@ -0,0 +1,1093 @@
+// Treadmill Gait Lab — analysis core (no DOM).
+// Landmark frames + settings in, strike/toe-off events and step rows out; row cleaning and
+// stride-dynamics measures of the results. Loaded as a classic script by index.html
+// (window.GaitCore) and with require() by the Node tests.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.GaitCore = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // MediaPipe landmark indices
+  const IDX = {
+    L_SHOULDER: 11,
+    R_SHOULDER: 12,
+    L_HIP: 23,
+    R_HIP: 24,
+    L_KNEE: 25,
+    R_KNEE: 26,
+    L_ANKLE: 27,
+    R_ANKLE: 28,
+    L_HEEL: 29,
+    R_HEEL: 30,
+    L_FOOT: 31,
+    R_FOOT: 32,
+  };
+
+  // MediaPipe Pose landmark names, in index order (33 landmarks)
+  const LANDMARK_NAMES = [
+    "nose", "left_eye_inner", "left_eye", "left_eye_outer", "right_eye_inner", "right_eye", "right_eye_outer",
+    "left_ear", "right_ear", "mouth_left", "mouth_right",
+    "left_shoulder", "right_shoulder", "left_elbow", "right_elbow", "left_wrist", "right_wrist",
+    "left_pinky", "right_pinky", "left_index", "right_index", "left_thumb", "right_thumb",
+    "left_hip", "right_hip", "left_knee", "right_knee", "left_ankle", "right_ankle",
+    "left_heel", "right_heel", "left_foot_index", "right_foot_index",
+  ];
+
+  const DEG = 180 / Math.PI;
+  const MODE_MIN_PHASE_MS = 30; // flight/double support shorter than this is treated as noise
+
+  // Tracking quality
+  const TRACKING_GAP_MS = 150; // a foot untracked for longer than this (or 3 frame intervals) is a gap
+  const QUALITY_MIN_CONFIDENCE = 0.5; // rows below this confidence are flagged low quality
+  const TRACKED_LANDMARKS = [
+    { name: "Shoulder", R: IDX.R_SHOULDER, L: IDX.L_SHOULDER },
+    { name: "Hip", R: IDX.R_HIP, L: IDX.L_HIP },
+    { name: "Knee", R: IDX.R_KNEE, L: IDX.L_KNEE },
+    { name: "Ankle", R: IDX.R_ANKLE, L: IDX.L_ANKLE },
+    { name: "Heel", R: IDX.R_HEEL, L: IDX.L_HEEL },
+    { name: "Foot index", R: IDX.R_FOOT, L: IDX.L_FOOT },
+  ];
+
+  // `frame` = geometry of the image the landmarks came from:
+  // { width, height, groundY, groundSlope, speedMS, stage }
+  // groundY = ground line height at the image centre (px, null = unknown),
+  // groundSlope = tilt (px per px, + = lower to the right), speedMS/stage = belt at this frame.
+
+  function movingAverage(arr, n) {
+    if (arr.length === 0) return null;
+    const k = Math.min(n, arr.length);
+    let s = 0;
+    for (let i = arr.length - k; i < arr.length; i++) s += arr[i];
+    return s / k;
+  }
+
+  // Pixel y of a landmark, sheared so the sloped ground line becomes level at groundY:
+  // levelY(p, frame) - groundY is the distance below the ground line at the landmark's own x.
+  function levelY(p, frame) {
+    return p.y * frame.height - (frame.groundSlope || 0) * (p.x * frame.width - frame.width / 2);
+  }
+
+  // Facing detection (side view)
+  function estimateFacingDirection(landmarks) {
+    const leftIdx = [IDX.L_SHOULDER, IDX.L_HIP, IDX.L_KNEE, IDX.L_ANKLE, IDX.L_HEEL, IDX.L_FOOT];
+    const rightIdx = [IDX.R_SHOULDER, IDX.R_HIP, IDX.R_KNEE, IDX.R_ANKLE, IDX.R_HEEL, IDX.R_FOOT];
+
+    let l = 0, r = 0;
+    for (const i of leftIdx) l += (landmarks[i]?.visibility ?? 0);
+    for (const i of rightIdx) r += (landmarks[i]?.visibility ?? 0);
+
+    const diff = l - r;
+    if (Math.abs(diff) < 0.35) return "Unknown";
+    return diff > 0 ? "Facing Right" : "Facing Left";
+  }
+
+  // Running ground estimate from the lower heel (groundY of the previous frame in, new groundY out)
+  function estimateGroundY(prevGroundY, landmarks, visThresh, frame) {
+    const lh = landmarks[IDX.L_HEEL];
+    const rh = landmarks[IDX.R_HEEL];
+    const goodL = lh && (lh.visibility ?? 0) >= visThresh;
+    const goodR = rh && (rh.visibility ?? 0) >= visThresh;
+
+    if (!goodL && !goodR) return prevGroundY;
+
+    const yL = goodL ? levelY(lh, frame) : null;
+    const yR = goodR ? levelY(rh, frame) : null;
+
+    const y = (yL !== null && yR !== null) ? Math.max(yL, yR) : (yL !== null ? yL : yR);
+
+    return prevGroundY === null ? y : 0.9 * prevGroundY + 0.1 * y;
+  }
+
+  // ---------------- Strike detectors ----------------
+  // Each detector turns the landmarks of one foot into a signal in pixels (null when not
+  // visible) and decides on its smoothed history whether the previous frame was a strike.
+  // The same-foot refractory filters of the engine apply to every detector.
+  const STRIKE_DETECTORS = {
+    // lowest point of the averaged ankle/heel, near the ground line
+    ankleHeel: {
+      label: "Ankle/heel lowest point",
+      signalLabel: "foot y",
+      usesGround: true,
+      signal: (landmarks, side, visThresh, frame) => getFootY(landmarks, side, visThresh, frame),
+      isStrike: (st, groundTolPx, groundY) => isSignalPeak(st) && nearGround(st.ySmHist.at(-2), groundTolPx, groundY)
+    },
+    // Zeni et al. (2008): heel furthest ahead of the pelvis; needs no ground line, so camera tilt does not matter
+    hipRelative: {
+      label: "Heel vs pelvis (Zeni)",
+      signalLabel: "heel ahead of pelvis",
+      usesGround: false,
+      signal: (landmarks, side, visThresh, frame) => getHeelAheadOfPelvis(landmarks, side, visThresh, frame),
+      isStrike: (st) => isSignalPeak(st) && st.ySmHist.at(-2) > 0
+    },
+    // foot centre (heel + foot index) stops moving down: vertical velocity crosses zero
+    footVelocity: {
+      label: "Foot velocity zero-crossing",
+      signalLabel: "foot centre y",
+      usesGround: true,
+      signal: (landmarks, side, visThresh, frame) =>
+        getLandmarksY(landmarks, side === "R" ? [IDX.R_HEEL, IDX.R_FOOT] : [IDX.L_HEEL, IDX.L_FOOT], visThresh, frame),
+      isStrike: (st, groundTolPx, groundY) => {
+        const n = st.ySmHist.length;
+        const vPrev = (st.ySmHist[n - 2] - st.ySmHist[n - 3]) / Math.max(1, st.tHist[n - 2] - st.tHist[n - 3]);
+        const vNow = (st.ySmHist[n - 1] - st.ySmHist[n - 2]) / Math.max(1, st.tHist[n - 1] - st.tHist[n - 2]);
+        return vPrev > 0 && vNow <= 0 && nearGround(st.ySmHist[n - 1], groundTolPx, groundY);
+      }
+    },
+    // forefoot runners: the foot index enters the ground band
+    footIndex: {
+      label: "Foot index contact (forefoot)",
+      signalLabel: "foot index y",
+      usesGround: true,
+      signal: (landmarks, side, visThresh, frame) => getLandmarksY(landmarks, [side === "R" ? IDX.R_FOOT : IDX.L_FOOT], visThresh, frame),
+      isStrike: (st, groundTolPx, groundY) => {
+        if (groundY === null) return false;
+        const n = st.ySmHist.length;
+        return st.ySmHist[n - 2] < groundY - groundTolPx && st.ySmHist[n - 1] >= groundY - groundTolPx;
+      }
+    }
+  };
+
+  function getStrikeDetector(id) {
+    return STRIKE_DETECTORS[id] ?? STRIKE_DETECTORS.ankleHeel;
+  }
+
+  // mean pixel y of the given landmarks, { ok: false } unless all are visible
+  function getLandmarksY(landmarks, ids, visThresh, frame) {
+    let sum = 0;
+    for (const i of ids) {
+      const p = landmarks[i];
+      if (!p || (p.visibility ?? 0) < visThresh) return { ok: false, y: null };
+      sum += levelY(p, frame);
+    }
+    return { ok: true, y: sum / ids.length };
+  }
+
+  function getFootY(landmarks, side, visThresh, frame) {
+    const aIdx = side === "R" ? IDX.R_ANKLE : IDX.L_ANKLE;
+    const hIdx = side === "R" ? IDX.R_HEEL : IDX.L_HEEL;
+
+    const a = landmarks[aIdx];
+    const h = landmarks[hIdx];
+    if (!a || !h) return { ok: false, y: null };
+
+    const aVis = (a.visibility ?? 0);
+    const hVis = (h.visibility ?? 0);
+    if (aVis < visThresh || hVis < visThresh) return { ok: false, y: null };
+
+    const yPix = (levelY(a, frame) + levelY(h, frame)) / 2;
+    return { ok: true, y: yPix };
+  }
+
+  // forward distance (px) of the heel ahead of the hip midpoint
+  function getHeelAheadOfPelvis(landmarks, side, visThresh, frame) {
+    const heel = landmarks[side === "R" ? IDX.R_HEEL : IDX.L_HEEL];
+    const lh = landmarks[IDX.L_HIP], rh = landmarks[IDX.R_HIP];
+    for (const p of [heel, lh, rh]) {
+      if (!p || (p.visibility ?? 0) < visThresh) return { ok: false, y: null };
+    }
+    const fwd = getForwardSign(landmarks, visThresh);
+    return { ok: true, y: fwd * (heel.x - (lh.x + rh.x) / 2) * frame.width };
+  }
+
+  // previous smoothed sample is a local maximum; a flat top (two equal samples, common once
+  // the moving average spreads a sharp peak) counts at its first sample
+  function isSignalPeak(st) {
+    const n = st.ySmHist.length;
+    const y2 = st.ySmHist[n - 3];
+    const y1 = st.ySmHist[n - 2];
+    const y0 = st.ySmHist[n - 1];
+
+    const dyPrev = y1 - y2;
+    const dyNext = y0 - y1;
+    return (dyPrev > 0 && dyNext <= 0);
+  }
+
+  function nearGround(yPix, groundTolPx, groundY) {
+    return groundY === null || Math.abs(yPix - groundY) <= groundTolPx;
+  }
+
+  // lowest visibility of the foot landmarks (ankle, heel, foot index) of one side
+  function footVisibility(landmarks, side) {
+    const ids = side === "R" ? [IDX.R_ANKLE, IDX.R_HEEL, IDX.R_FOOT] : [IDX.L_ANKLE, IDX.L_HEEL, IDX.L_FOOT];
+    return Math.min(...ids.map((i) => landmarks[i]?.visibility ?? 0));
+  }
+
+  function medianOf(values) {
+    if (values.length === 0) return null;
+    const a = [...values].sort((x, y) => x - y);
+    const mid = a.length >> 1;
+    return a.length % 2 ? a[mid] : (a[mid - 1] + a[mid]) / 2;
+  }
+
+  // ---------------- Joint angles ----------------
+  // Sagittal-plane angles from 2D pixel coordinates, in degrees:
+  // hip   = thigh vs trunk (flexion +, extension −)
+  // knee  = thigh vs shank (flexion +, 0 = straight)
+  // ankle = foot (heel → foot index) vs shank (dorsiflexion +, plantarflexion −; 0 = foot ⟂ shank)
+
+  // +1 when the runner moves towards image right, −1 towards image left.
+  // Toes point forward, so the heel → foot index direction decides when the feet are visible;
+  // otherwise fall back to the facing estimate.
+  function getForwardSign(landmarks, visThresh) {
+    let dx = 0;
+    for (const [h, f] of [[IDX.R_HEEL, IDX.R_FOOT], [IDX.L_HEEL, IDX.L_FOOT]]) {
+      const ph = landmarks[h], pf = landmarks[f];
+      if (ph && pf && (ph.visibility ?? 0) >= visThresh && (pf.visibility ?? 0) >= visThresh) dx += pf.x - ph.x;
+    }
+    if (Math.abs(dx) > 0.005) return dx > 0 ? 1 : -1;
+    return estimateFacingDirection(landmarks) === "Facing Left" ? -1 : 1;
+  }
+
+  function computeSideAngles(landmarks, side, fwd, visThresh, frame) {
+    const ids = side === "R"
+      ? [IDX.R_SHOULDER, IDX.R_HIP, IDX.R_KNEE, IDX.R_ANKLE, IDX.R_HEEL, IDX.R_FOOT]
+      : [IDX.L_SHOULDER, IDX.L_HIP, IDX.L_KNEE, IDX.L_ANKLE, IDX.L_HEEL, IDX.L_FOOT];
+
+    // forward/up coordinates in pixels (y flipped so up is positive)
+    const pts = [];
+    for (const i of ids) {
+      const p = landmarks[i];
+      if (!p || (p.visibility ?? 0) < visThresh) return null;
+      pts.push({ f: fwd * p.x * frame.width, u: -p.y * frame.height });
+    }
+    const [sh, hip, knee, ankle, heel, toe] = pts;
+
+    // segment angles: trunk from vertical-up, thigh/shank from vertical-down (distal end forward = +)
+    const trunk = Math.atan2(sh.f - hip.f, sh.u - hip.u);
+    const thigh = Math.atan2(knee.f - hip.f, hip.u - knee.u);
+    const shank = Math.atan2(ankle.f - knee.f, knee.u - ankle.u);
+    const foot = Math.atan2(toe.u - heel.u, toe.f - heel.f);
+
+    return {
+      hip: (thigh + trunk) * DEG,
+      knee: (thigh - shank) * DEG,
+      ankle: (foot - shank) * DEG
+    };
+  }
+
+  function computeFrameAngles(landmarks, visThresh, frame) {
+    const fwd = getForwardSign(landmarks, visThresh);
+    return {
+      forward: fwd,
+      R: computeSideAngles(landmarks, "R", fwd, visThresh, frame),
+      L: computeSideAngles(landmarks, "L", fwd, visThresh, frame)
+    };
+  }
+
+  // ---------------- Gait mode (Walk/Run) ----------------
+  // Run = flight phase seen during the step, Walk = double support seen.
+  // Duty factor (stance / stride) decides when neither phase is clear.
+  function classifyGaitMode(flightMs, doubleSupportMs, dutyFactor) {
+    if (flightMs >= MODE_MIN_PHASE_MS && flightMs > doubleSupportMs) return "Run";
+    if (doubleSupportMs >= MODE_MIN_PHASE_MS && doubleSupportMs > flightMs) return "Walk";
+    if (dutyFactor !== null && isFinite(dutyFactor)) return dutyFactor >= 0.5 ? "Walk" : "Run";
+    return null;
+  }
+
+  // ---------------- Engine ----------------
+  // State of one capture. analyzeFrame() takes the frames in time order and returns the rows
+  // (and Walk/Run transitions) its strikes completed; rebuildRows() recomputes every row from
+  // strikeEvents after they were edited. The event arrays are cleared in place by reset(), so
+  // callers may keep references to them.
+  function createGaitEngine() {
+    const footState = {
+      R: { yHist: [], ySmHist: [], tHist: [], tLastStrike: null, lastMaxTime: null },
+      L: { yHist: [], ySmHist: [], tHist: [], tLastStrike: null, lastMaxTime: null },
+    };
+    const toeOnGround = { R: null, L: null };
+
+    const toeOffEvents = []; // every lift { side, tMs }
+    // { side, tMs, stage, beltSpeedMS, edit: null | "added" | "moved" }
+    const strikeEvents = [];
+    const deletedStrikes = []; // detected strikes removed by an edit: { side, tMs }
+    // Per analyzed frame with a pose (event angles, spatial measures, timeline, row confidence):
+    // { tMs, groundY, detector, hipY, heelAhead: { R, L }, ySm: { R, L }, angles: { R, L }, vis: { R, L } }
+    const frameTrace = [];
+    const rows = [];
+    const transitions = []; // { stepNumber, side, tMs, from, to, speedMS }
+    const gaps = []; // { side, fromMs, toMs }: the strike signal of that foot was lost in between
+    const tracking = newTrackingStats();
+
+    const state = {
+      lastStrikeTime: { R: null, L: null }, // for reliable STEP TIME: last accepted strike per foot
+      lastAnyStrike: null, // {side, tMs} (used only as a global refractory reference)
+      lastGaitMode: null,
+      rejectedStrikes: 0, // strike candidates dropped by the refractory filters
+      pxPerM: null, // image pixels per metre (null = no spatial measures)
+      detector: null // strike detector whose signal fills the foot histories
+    };
+
+    function reset() {
+      for (const side of ["R", "L"]) {
+        Object.assign(footState[side], { yHist: [], ySmHist: [], tHist: [], tLastStrike: null, lastMaxTime: null });
+        toeOnGround[side] = null;
+      }
+      toeOffEvents.length = 0;
+      strikeEvents.length = 0;
+      deletedStrikes.length = 0;
+      frameTrace.length = 0;
+      rows.length = 0;
+      transitions.length = 0;
+      gaps.length = 0;
+      Object.assign(tracking, newTrackingStats());
+      state.lastStrikeTime = { R: null, L: null };
+      state.lastAnyStrike = null;
+      state.lastGaitMode = null;
+      state.rejectedStrikes = 0;
+      state.detector = null;
+    }
+
+    function pxToCm(px) {
+      return state.pxPerM && px !== null ? (100 * px) / state.pxPerM : null;
+    }
+
+    // ---- Tracking quality ----
+    // Frame rate and dropped frames come from the frame timestamps (a frame interval well above
+    // the typical one = frames the pose loop never saw); visibility is counted per landmark.
+    function newTrackingStats() {
+      return {
+        frames: 0, // frames handed to analyzeFrame (with or without a pose)
+        posed: 0,
+        firstMs: null,
+        lastMs: null,
+        intervals: [], // recent frame intervals (ms)
+        dropped: 0,
+        visSum: {}, // landmark index -> sum of visibility over posed frames
+        visOk: {}, // landmark index -> posed frames at or above the visibility threshold
+        lastOk: { R: null, L: null } // last frame with a strike signal per foot
+      };
+    }
+
+    function typicalIntervalMs() {
+      return medianOf(tracking.intervals);
+    }
+
+    function noteFrame(tMs, landmarks, visThresh) {
+      if (tracking.lastMs !== null) {
+        const dt = tMs - tracking.lastMs;
+        const typical = typicalIntervalMs();
+        if (typical && dt > 1.5 * typical) tracking.dropped += Math.round(dt / typical) - 1;
+        tracking.intervals.push(dt);
+        if (tracking.intervals.length > 31) tracking.intervals.shift();
+      }
+      if (tracking.firstMs === null) tracking.firstMs = tMs;
+      tracking.lastMs = tMs;
+      tracking.frames += 1;
+      if (!landmarks) return;
+
+      tracking.posed += 1;
+      for (const lm of TRACKED_LANDMARKS) {
+        for (const i of [lm.R, lm.L]) {
+          const v = landmarks[i]?.visibility ?? 0;
+          tracking.visSum[i] = (tracking.visSum[i] ?? 0) + v;
+          tracking.visOk[i] = (tracking.visOk[i] ?? 0) + (v >= visThresh ? 1 : 0);
+        }
+      }
+    }
+
+    // foot signal back after a pause longer than the gap threshold → gap
+    function noteFootTracked(side, tMs) {
+      const last = tracking.lastOk[side];
+      const limit = Math.max(TRACKING_GAP_MS, 3 * (typicalIntervalMs() ?? 0));
+      if (last !== null && tMs - last > limit) gaps.push({ side, fromMs: last, toMs: tMs });
+      tracking.lastOk[side] = tMs;
+    }
+
+    // time (ms) inside (fromMs, toMs) where either foot was in a tracking gap
+    function gapTimeBetween(fromMs, toMs) {
+      const parts = gaps
+        .map((g) => [Math.max(g.fromMs, fromMs), Math.min(g.toMs, toMs)])
+        .filter(([a, b]) => b > a)
+        .sort((x, y) => x[0] - y[0]);
+      let total = 0, end = -Infinity;
+      for (const [a, b] of parts) {
+        if (b <= end) continue;
+        total += b - Math.max(a, end);
+        end = b;
+      }
+      return total;
+    }
+
+    // mean foot visibility of `side` over the traced frames in [fromMs, toMs]
+    function footVisibilityBetween(side, fromMs, toMs) {
+      let sum = 0, n = 0;
+      for (let i = Math.max(0, traceIndexAt(fromMs)); i < frameTrace.length; i++) {
+        const f = frameTrace[i];
+        if (f.tMs < fromMs) continue;
+        if (f.tMs > toMs) break;
+        sum += f.vis[side];
+        n += 1;
+      }
+      return n ? sum / n : null;
+    }
+
+    // Frame rate, dropped frames, gaps and per-landmark visibility of the capture so far
+    function trackingSummary() {
+      const t = tracking;
+      const spanMs = t.lastMs !== null ? t.lastMs - t.firstMs : 0;
+      const landmarks = [];
+      for (const lm of TRACKED_LANDMARKS) {
+        for (const side of ["R", "L"]) {
+          const i = lm[side];
+          landmarks.push({
+            name: lm.name,
+            side,
+            meanVisibility: t.posed ? t.visSum[i] / t.posed : null,
+            visibleFraction: t.posed ? t.visOk[i] / t.posed : null
+          });
+        }
+      }
+      return {
+        frames: t.frames,
+        posed: t.posed,
+        fps: spanMs > 0 ? (1000 * (t.frames - 1)) / spanMs : null,
+        typicalIntervalMs: typicalIntervalMs(),
+        dropped: t.dropped,
+        gaps: gaps.map((g) => ({ ...g })),
+        landmarks
+      };
+    }
+
+    function detectStrike(side, tMs, yPix, det, groundY) {
+      const st = footState[side];
+      const { minStrikeMs } = det;
+
+      st.yHist.push(yPix);
+      if (st.yHist.length > 80) st.yHist.shift();
+
+      const ySm = movingAverage(st.yHist, det.smoothN);
+      st.ySmHist.push(ySm);
+      st.tHist.push(tMs);
+      if (st.ySmHist.length > 80) {
+        st.ySmHist.shift();
+        st.tHist.shift();
+      }
+
+      if (st.ySmHist.length < 5) return false;
+
+      if (!getStrikeDetector(det.detector).isStrike(st, det.groundTolPx, groundY)) return false;
+
+      if (st.tLastStrike !== null && (tMs - st.tLastStrike) < minStrikeMs) {
+        state.rejectedStrikes += 1;
+        return false;
+      }
+
+      if (st.lastMaxTime !== null && (tMs - st.lastMaxTime) < Math.max(120, minStrikeMs * 0.5)) {
+        state.rejectedStrikes += 1;
+        return false;
+      }
+
+      st.lastMaxTime = tMs;
+      return true;
+    }
+
+    // Toe-off = foot index leaves the ground band (touching or below the ground line - tolerance).
+    // Every lift is kept; toeOffBetween picks the first one after each strike of that foot,
+    // so swing-phase jitter is ignored and edited strikes still find their toe-off.
+    function detectToeOff(landmarks, side, tMs, visThresh, groundTolPx, frame) {
+      if (frame.groundY === null) return false;
+
+      const p = landmarks[side === "R" ? IDX.R_FOOT : IDX.L_FOOT];
+      if (!p || (p.visibility ?? 0) < visThresh) return false;
+
+      const onGround = levelY(p, frame) >= frame.groundY - groundTolPx;
+      const wasOnGround = toeOnGround[side];
+      toeOnGround[side] = onGround;
+
+      if (!wasOnGround || onGround) return false;
+
+      toeOffEvents.push({ side, tMs });
+      return true;
+    }
+
+    // toe-off of `side` inside (fromMs, toMs): the first lift after fromMs, or the last lift
+    // before toMs when there is no earlier strike; null if none was detected
+    function toeOffBetween(side, fromMs, toMs) {
+      let found = null;
+      for (let i = toeOffEvents.length - 1; i >= 0; i--) {
+        const e = toeOffEvents[i];
+        if (e.side !== side || e.tMs >= toMs) continue;
+        if (fromMs !== null && e.tMs <= fromMs) break;
+        found = e.tMs;
+        if (fromMs === null) break;
+      }
+      return found;
+    }
+
+    // index of the traced frame closest to tMs (frameTrace is in time order)
+    function traceIndexAt(tMs) {
+      let lo = 0, hi = frameTrace.length - 1;
+      if (hi < 0) return -1;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (frameTrace[mid].tMs < tMs) lo = mid + 1;
+        else hi = mid;
+      }
+      if (lo > 0 && tMs - frameTrace[lo - 1].tMs < frameTrace[lo].tMs - tMs) lo -= 1;
+      return lo;
+    }
+
+    function anglesAt(side, tMs) {
+      const i = traceIndexAt(tMs);
+      return i < 0 ? null : frameTrace[i].angles[side];
+    }
+
+    // Vertical range (px) of the hip midpoint (COM proxy) in [fromMs, toMs]
+    function hipRangeBetween(fromMs, toMs) {
+      let lo = Infinity, hi = -Infinity;
+      for (let i = Math.max(0, traceIndexAt(fromMs)); i < frameTrace.length; i++) {
+        const f = frameTrace[i];
+        if (f.tMs < fromMs) continue;
+        if (f.tMs > toMs) break;
+        if (f.hipY === null) continue;
+        lo = Math.min(lo, f.hipY);
+        hi = Math.max(hi, f.hipY);
+      }
+      return isFinite(lo) ? hi - lo : null;
+    }
+
+    // Largest knee flexion of `side` in [fromMs, toMs) — stance = strike → toe-off, swing = toe-off → next strike.
+    function peakKneeBetween(side, fromMs, toMs) {
+      let peak = null;
+      for (let i = Math.max(0, traceIndexAt(fromMs)); i < frameTrace.length; i++) {
+        const f = frameTrace[i];
+        if (f.tMs < fromMs) continue;
+        if (f.tMs >= toMs) break;
+        const a = f.angles[side];
+        if (a && (peak === null || a.knee > peak)) peak = a.knee;
+      }
+      return peak;
+    }
+
+    // Table row of one strike event. `last` = { R, L } strike times before this event.
+    function buildStrikeRow(ev, last) {
+      const { side, tMs } = ev;
+      const vMS = ev.beltSpeedMS;
+      const prevSameStrike = last[side];
+
+      // ----- STRIDE (same foot) -----
+      let strideTimeMs = null, strideLenM = null, strideFreqHz = null;
+      if (prevSameStrike !== null) {
+        strideTimeMs = tMs - prevSameStrike;
+        const strideTimeSec = strideTimeMs / 1000.0;
+        if (strideTimeSec > 0) {
+          strideFreqHz = 1.0 / strideTimeSec;
+          strideLenM = vMS * strideTimeSec;
+        }
+      }
+
+      // ----- STEP (opposite foot) -----
+      const opp = (side === "R") ? "L" : "R";
+      let stepTimeMs = null, stepLenM = null;
+
+      if (last[opp] !== null) {
+        stepTimeMs = tMs - last[opp];
+        const stepTimeSec = stepTimeMs / 1000.0;
+        if (stepTimeSec > 0) stepLenM = vMS * stepTimeSec;
+      }
+
+      // ----- CONTACT / SWING (this foot, over the stride ending now) -----
+      const ownToeOff = toeOffBetween(side, prevSameStrike, tMs);
+      let contactMs = null, swingMs = null, dutyFactor = null;
+      if (ownToeOff !== null) {
+        swingMs = tMs - ownToeOff;
+        if (prevSameStrike !== null) {
+          contactMs = ownToeOff - prevSameStrike;
+          if (strideTimeMs) dutyFactor = contactMs / strideTimeMs;
+        }
+      }
+
+      // ----- FLIGHT / DOUBLE SUPPORT (over the step ending now) -----
+      // Double support opens the step (opposite foot lands before this foot lifts);
+      // flight closes it (opposite foot lifts before this foot lands).
+      let flightMs = null, doubleSupportMs = null;
+      if (stepTimeMs !== null) {
+        const oppStrike = last[opp];
+        const oppToeOff = toeOffBetween(opp, oppStrike, tMs);
+        flightMs = oppToeOff !== null ? tMs - oppToeOff : 0;
+        if (ownToeOff !== null) doubleSupportMs = Math.max(0, ownToeOff - oppStrike);
+      }
+
+      // ----- JOINT ANGLES (IC = this frame, TO/peaks = the stride ending now) -----
+      const ic = anglesAt(side, tMs);
+      const to = ownToeOff !== null ? anglesAt(side, ownToeOff) : null;
+      const peakStanceKneeDeg = prevSameStrike !== null && ownToeOff !== null ? peakKneeBetween(side, prevSameStrike, ownToeOff) : null;
+      const peakSwingKneeDeg = ownToeOff !== null ? peakKneeBetween(side, ownToeOff, tMs) : null;
+
+      // ----- SPATIAL (needs a scale): hip rise and fall over the step, heel ahead of the hips at IC -----
+      const vertOscPx = stepTimeMs !== null ? hipRangeBetween(last[opp], tMs) : null;
+      const icFrame = frameTrace[traceIndexAt(tMs)];
+      const landingPx = icFrame ? icFrame.heelAhead[side] : null;
+
+      // ----- TRACKING QUALITY (over the stride ending now, or the step for the first strikes) -----
+      // confidence = mean foot visibility × share of the window without a tracking gap
+      const fromMs = prevSameStrike ?? last[opp] ?? tMs;
+      const gapMs = gapTimeBetween(fromMs, tMs);
+      const vis = footVisibilityBetween(side, fromMs, tMs);
+      const confidence = vis === null ? null : vis * (tMs > fromMs ? 1 - gapMs / (tMs - fromMs) : 1);
+
+      return {
+        stepLabel: (side === "R") ? "Right" : "Left",
+        tMs,
+        stage: ev.stage,
+        beltSpeedMS: vMS,
+        edit: ev.edit,
+        stepTimeMs,
+        stepLenM,
+        strideTimeMs,
+        strideLenM,
+        strideFreqHz,
+        toeOffMs: ownToeOff,
+        contactMs,
+        swingMs,
+        flightMs,
+        doubleSupportMs,
+        dutyFactor,
+        icHipDeg: ic?.hip ?? null,
+        icKneeDeg: ic?.knee ?? null,
+        icAnkleDeg: ic?.ankle ?? null,
+        toHipDeg: to?.hip ?? null,
+        toKneeDeg: to?.knee ?? null,
+        toAnkleDeg: to?.ankle ?? null,
+        peakStanceKneeDeg,
+        peakSwingKneeDeg,
+        vertOscCm: pxToCm(vertOscPx),
+        landingCm: pxToCm(landingPx ?? null),
+        confidence,
+        gapMs,
+        lowQuality: gapMs > 0 || (confidence !== null && confidence < QUALITY_MIN_CONFIDENCE)
+      };
+    }
+
+    // Gait mode + Walk/Run transition of the next row; returns the row and the new transition (or null)
+    function appendRow(row) {
+      const mode = row.stepTimeMs !== null ? classifyGaitMode(row.flightMs, row.doubleSupportMs ?? 0, row.dutyFactor) : null;
+
+      let transition = null;
+      if (mode && state.lastGaitMode && mode !== state.lastGaitMode) {
+        transition = { stepNumber: rows.length + 1, side: row.stepLabel, tMs: row.tMs, from: state.lastGaitMode, to: mode, speedMS: row.beltSpeedMS };
+        transitions.push(transition);
+      }
+      if (mode) state.lastGaitMode = mode;
+
+      const out = { ...row, mode, transition: transition ? `${transition.from} → ${transition.to}` : null };
+      rows.push(out);
+      return { row: out, transition };
+    }
+
+    function registerStrike(side, tMs, frame) {
+      const st = footState[side];
+
+      // global refractory (avoid double-count in same instant)
+      if (state.lastAnyStrike && (tMs - state.lastAnyStrike.tMs) < 120) {
+        state.rejectedStrikes += 1;
+        return null;
+      }
+
+      st.tLastStrike = tMs;
+
+      const ev = {
+        side,
+        tMs,
+        stage: frame.stage ?? null,
+        beltSpeedMS: frame.speedMS,
+        edit: null
+      };
+      strikeEvents.push(ev);
+
+      const row = buildStrikeRow(ev, state.lastStrikeTime);
+
+      // update last strike time for this foot
+      state.lastStrikeTime[side] = tMs;
+
+      // keep a reference time for global refractory only
+      state.lastAnyStrike = { side, tMs };
+
+      return appendRow(row);
+    }
+
+    // Angles, toe-offs and strikes of one frame; `det` = { visThresh, minStrikeMs, smoothN, groundTolPx, detector }.
+    // Frames without a pose (landmarks = null) only count for the tracking statistics.
+    function analyzeFrame(landmarks, tMs, det, frame) {
+      noteFrame(tMs, landmarks, det.visThresh);
+      if (!landmarks) return { angles: null, rows: [], transitions: [] };
+
+      const angles = computeFrameAngles(landmarks, det.visThresh, frame);
+
+      for (const side of ["R", "L"]) detectToeOff(landmarks, side, tMs, det.visThresh, det.groundTolPx, frame);
+
+      // the detectors' signals are not comparable: switching mid-capture starts the histories afresh
+      if (det.detector !== state.detector) {
+        for (const side of ["R", "L"]) Object.assign(footState[side], { yHist: [], ySmHist: [], tHist: [] });
+        state.detector = det.detector;
+      }
+      const detector = getStrikeDetector(det.detector);
+      const r = detector.signal(landmarks, "R", det.visThresh, frame);
+      const l = detector.signal(landmarks, "L", det.visThresh, frame);
+
+      if (r.ok) noteFootTracked("R", tMs);
+      if (l.ok) noteFootTracked("L", tMs);
+
+      const strikeR = r.ok && detectStrike("R", tMs, r.y, det, frame.groundY);
+      const strikeL = l.ok && detectStrike("L", tMs, l.y, det, frame.groundY);
+
+      const hip = getLandmarksY(landmarks, [IDX.L_HIP, IDX.R_HIP], det.visThresh, frame);
+      const aheadR = getHeelAheadOfPelvis(landmarks, "R", det.visThresh, frame);
+      const aheadL = getHeelAheadOfPelvis(landmarks, "L", det.visThresh, frame);
+
+      frameTrace.push({
+        tMs,
+        groundY: frame.groundY,
+        detector: det.detector,
+        hipY: hip.ok ? hip.y : null,
+        heelAhead: { R: aheadR.ok ? aheadR.y : null, L: aheadL.ok ? aheadL.y : null },
+        ySm: { R: r.ok ? footState.R.ySmHist.at(-1) : null, L: l.ok ? footState.L.ySmHist.at(-1) : null },
+        angles: { R: angles.R, L: angles.L },
+        vis: { R: footVisibility(landmarks, "R"), L: footVisibility(landmarks, "L") }
+      });
+
+      const added = [];
+      if (strikeR) added.push(registerStrike("R", tMs, frame));
+      if (strikeL) added.push(registerStrike("L", tMs, frame));
+      const done = added.filter(Boolean);
+      return {
+        angles,
+        rows: done.map((x) => x.row),
+        transitions: done.map((x) => x.transition).filter(Boolean)
+      };
+    }
+
+    // Recompute every row from the (edited) strike events.
+    function rebuildRows() {
+      strikeEvents.sort((a, b) => a.tMs - b.tMs);
+
+      rows.length = 0;
+      transitions.length = 0;
+      state.lastGaitMode = null;
+      const last = { R: null, L: null };
+      for (const ev of strikeEvents) {
+        appendRow(buildStrikeRow(ev, last));
+        last[ev.side] = ev.tMs;
+      }
+      return rows;
+    }
+
+    return {
+      strikeEvents,
+      toeOffEvents,
+      deletedStrikes,
+      frameTrace,
+      rows,
+      transitions,
+      gaps,
+      get rejectedStrikes() { return state.rejectedStrikes; },
+      set rejectedStrikes(n) { state.rejectedStrikes = n; },
+      get pxPerM() { return state.pxPerM; },
+      set pxPerM(v) { state.pxPerM = v; },
+      reset,
+      analyzeFrame,
+      rebuildRows,
+      traceIndexAt,
+      trackingSummary
+    };
+  }
+
+  // Whole recording at once: frames = [{ tMs, landmarks }] (landmarks null = no pose).
+  // settings = { det, width, height, speedMS, groundY (null = estimate from the heels), groundSlope, pxPerM }
+  function analyzeFrames(frames, settings) {
+    const engine = createGaitEngine();
+    engine.pxPerM = settings.pxPerM ?? null;
+    let groundY = settings.groundY ?? null;
+    const fixedGround = groundY !== null;
+
+    for (const f of frames) {
+      const frame = {
+        width: settings.width,
+        height: settings.height,
+        groundY,
+        groundSlope: settings.groundSlope ?? 0,
+        speedMS: settings.speedMS ?? 0,
+        stage: null
+      };
+      if (!fixedGround && f.landmarks) frame.groundY = groundY = estimateGroundY(groundY, f.landmarks, settings.det.visThresh, frame);
+      engine.analyzeFrame(f.landmarks, f.tMs, settings.det, frame);
+    }
+    return engine;
+  }
+
+  // ---------------- Row cleaning ----------------
+  // Post-processing of a row series (table order). A strike the detector missed shows up as
+  // two strikes of the same foot in a row: the second gets a step time spanning both sides and
+  // the next strike of the other foot a doubled stride. Step/stride times far from the running
+  // median of the preceding accepted ones are outliers and left out of the cleaned series.
+  const CLEANING_WINDOW_STEPS = 10;
+  const CLEANING_TOLERANCE = 0.35; // fraction of the running median
+  const CLEANING_MIN_HISTORY = 3; // accepted values needed before anything is flagged
+
+  // fields cleared with an outlier (or spanning a missed strike) step / stride
+  const STEP_FIELDS = ["stepTimeMs", "stepLenM", "flightMs", "doubleSupportMs"];
+  const STRIDE_FIELDS = ["strideTimeMs", "strideLenM", "strideFreqHz", "contactMs", "swingMs", "dutyFactor"];
+
+  function setStepTime(row, fromMs) {
+    row.stepTimeMs = row.tMs - fromMs;
+    row.stepLenM = isFinite(row.beltSpeedMS) ? (row.beltSpeedMS * row.stepTimeMs) / 1000 : null;
+  }
+
+  function setStrideTime(row, fromMs) {
+    row.strideTimeMs = row.tMs - fromMs;
+    row.strideLenM = isFinite(row.beltSpeedMS) ? (row.beltSpeedMS * row.strideTimeMs) / 1000 : null;
+    row.strideFreqHz = row.strideTimeMs > 0 ? 1000 / row.strideTimeMs : null;
+  }
+
+  // opts = { windowSteps, tolerance, interpolate (insert an estimated strike of the other foot
+  // halfway between two strikes of the same foot) }.
+  // Returns { rows, marks }: rows = cleaned copy (estimated strikes included), marks = correction
+  // of each input row. Changed rows carry correction = "missed step" (a strike of the other foot
+  // is missing before this one), "missed stride" (the stride spans that missing strike; dropped
+  // without interpolation), "estimated", "recomputed" (times re-measured from an estimated
+  // strike) or "outlier"; the others null.
+  function cleanRows(rows, opts = {}) {
+    const windowSteps = opts.windowSteps ?? CLEANING_WINDOW_STEPS;
+    const tolerance = opts.tolerance ?? CLEANING_TOLERANCE;
+    const history = { stepTimeMs: [], strideTimeMs: [] };
+    const last = { Right: null, Left: null };
+    const out = [];
+    const marks = [];
+    let spansMissed = null; // side whose next stride spans a missed (not estimated) strike
+
+    const clear = (row, fields) => { for (const k of fields) row[k] = null; };
+
+    // running-median check of one row; accepted values extend the history
+    function checkOutliers(row) {
+      for (const [key, fields] of [["stepTimeMs", STEP_FIELDS], ["strideTimeMs", STRIDE_FIELDS]]) {
+        const v = row[key];
+        if (v === null || v === undefined || !isFinite(v)) continue;
+        const h = history[key];
+        const med = medianOf(h);
+        if (h.length >= CLEANING_MIN_HISTORY && Math.abs(v - med) > tolerance * med) {
+          clear(row, fields);
+          row.correction = row.correction ?? "outlier";
+          continue;
+        }
+        h.push(v);
+        if (h.length > windowSteps) h.shift();
+      }
+    }
+
+    function push(row) {
+      checkOutliers(row);
+      out.push(row);
+      if (row.stepLabel in last) last[row.stepLabel] = row;
+    }
+
+    for (const r of rows) {
+      const row = { ...r, correction: null };
+      const side = row.stepLabel;
+      const opp = side === "Right" ? "Left" : "Right";
+      const prev = out.length ? out[out.length - 1] : null;
+      const timed = isFinite(row.tMs) && prev !== null && isFinite(prev.tMs);
+
+      if (timed && prev.stepLabel === side) {
+        row.correction = "missed step";
+        clear(row, STEP_FIELDS);
+        if (opts.interpolate) {
+          const est = Object.fromEntries(Object.keys(r).map((k) => [k, null]));
+          Object.assign(est, {
+            stepLabel: opp,
+            tMs: (prev.tMs + row.tMs) / 2,
+            mode: row.mode,
+            stage: row.stage,
+            beltSpeedMS: row.beltSpeedMS,
+            correction: "estimated"
+          });
+          setStepTime(est, prev.tMs);
+          if (last[opp] !== null) setStrideTime(est, last[opp].tMs);
+          push(est);
+          setStepTime(row, est.tMs);
+        } else {
+          spansMissed = opp;
+        }
+      } else if (timed && last[side]?.correction === "estimated") {
+        // the stride of this foot starts at the estimated strike
+        clear(row, STRIDE_FIELDS);
+        setStrideTime(row, last[side].tMs);
+        row.correction = "recomputed";
+      } else if (side === spansMissed) {
+        // doubled stride: dropped whether or not the running median would catch it
+        clear(row, STRIDE_FIELDS);
+        row.correction = "missed stride";
+        spansMissed = null;
+      }
+
+      push(row);
+      marks.push(row.correction);
+    }
+    return { rows: out, marks };
+  }
+
+  // ---------------- Stride dynamics ----------------
+  // Variability measures of one stride-time series (same-foot strike intervals, in order):
+  // DFA alpha, sample entropy and Poincaré SD1/SD2.
+  const SAMPEN_M = 2;
+  const SAMPEN_R = 0.2; // tolerance as a fraction of the series SD
+
+  function sampleSD(v) {
+    const n = v.length;
+    if (n < 2) return null;
+    const m = v.reduce((a, b) => a + b, 0) / n;
+    return Math.sqrt(v.reduce((a, b) => a + (b - m) ** 2, 0) / (n - 1));
+  }
+
+  // Least-squares slope of y on x
+  function linearSlope(x, y) {
+    const n = x.length;
+    const mx = x.reduce((a, b) => a + b, 0) / n;
+    const my = y.reduce((a, b) => a + b, 0) / n;
+    let sxy = 0, sxx = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (x[i] - mx) * (y[i] - my);
+      sxx += (x[i] - mx) ** 2;
+    }
+    return sxx > 0 ? sxy / sxx : null;
+  }
+
+  // Detrended fluctuation analysis (first order): alpha = slope of log F(n) vs log n,
+  // box sizes from 4 to N/4, log-spaced, non-overlapping boxes with a linear detrend.
+  function dfaAlpha(series) {
+    const N = series.length;
+    if (N < 16) return null;
+
+    const m = series.reduce((a, b) => a + b, 0) / N;
+    const profile = [];
+    let acc = 0;
+    for (const x of series) {
+      acc += x - m;
+      profile.push(acc);
+    }
+
+    const sizes = [];
+    const maxBox = Math.floor(N / 4);
+    for (let k = 0; ; k++) {
+      const n = Math.round(4 * Math.pow(2, k / 4));
+      if (n > maxBox) break;
+      if (!sizes.includes(n)) sizes.push(n);
+    }
+    if (sizes.length < 3) return null;
+
+    const logN = [], logF = [];
+    for (const n of sizes) {
+      const boxes = Math.floor(N / n);
+      let sq = 0;
+      for (let b = 0; b < boxes; b++) {
+        const xs = [], ys = [];
+        for (let i = 0; i < n; i++) {
+          xs.push(i);
+          ys.push(profile[b * n + i]);
+        }
+        const slope = linearSlope(xs, ys);
+        const my = ys.reduce((a, c) => a + c, 0) / n;
+        const mx = (n - 1) / 2;
+        for (let i = 0; i < n; i++) sq += (ys[i] - (my + slope * (i - mx))) ** 2;
+      }
+      const F = Math.sqrt(sq / (boxes * n));
+      if (F > 0) {
+        logN.push(Math.log(n));
+        logF.push(Math.log(F));
+      }
+    }
+    return logN.length >= 3 ? linearSlope(logN, logF) : null;
+  }
+
+  // Sample entropy (Richman & Moorman 2000), Chebyshev distance, self-matches excluded
+  function sampleEntropy(series, m = SAMPEN_M, rFrac = SAMPEN_R) {
+    const N = series.length;
+    const sd = sampleSD(series);
+    if (N <= m + 1 || !sd) return null;
+    const r = rFrac * sd;
+
+    let B = 0, A = 0;
+    for (let i = 0; i < N - m; i++) {
+      for (let j = i + 1; j < N - m; j++) {
+        let match = true;
+        for (let k = 0; k < m; k++) {
+          if (Math.abs(series[i + k] - series[j + k]) > r) {
+            match = false;
+            break;
+          }
+        }
+        if (!match) continue;
+        B += 1;
+        if (Math.abs(series[i + m] - series[j + m]) <= r) A += 1;
+      }
+    }
+    if (A === 0 || B === 0) return null;
+    return -Math.log(A / B);
+  }
+
+  // Contiguous stride-time runs of one foot ("Right" / "Left") in row order. A row of that foot
+  // without a stride time, or one `include` rejects (dropped by cleaning, excluded), ends the
+  // run: DFA integrates and Poincaré pairs successive strides, so values are never joined
+  // across the gap.
+  function strideRuns(rows, label, include = () => true) {
+    const runs = [[]];
+    for (const r of rows) {
+      if (r.stepLabel !== label) continue;
+      const v = r.strideTimeMs;
+      if (include(r) && v !== null && v !== undefined && isFinite(v)) runs[runs.length - 1].push(v);
+      else if (runs[runs.length - 1].length > 0) runs.push([]);
+    }
+    return runs.filter((run) => run.length > 0);
+  }
+
+  // Poincaré descriptors of successive intervals (x_n, x_n+1); with several runs the pairs
+  // stay within each run. At least 2 pairs are needed.
+  function poincareRuns(runs) {
+    const diffs = [], sums = [];
+    for (const series of runs) {
+      for (let i = 0; i < series.length - 1; i++) {
+        diffs.push(series[i + 1] - series[i]);
+        sums.push(series[i + 1] + series[i]);
+      }
+    }
+    if (diffs.length < 2) return { sd1: null, sd2: null };
+    return {
+      sd1: sampleSD(diffs) / Math.SQRT2,
+      sd2: sampleSD(sums) / Math.SQRT2
+    };
+  }
+
+  function poincare(series) {
+    return poincareRuns([series]);
+  }
+
+  return {
+    IDX,
+    LANDMARK_NAMES,
+    DEG,
+    MODE_MIN_PHASE_MS,
+    QUALITY_MIN_CONFIDENCE,
+    TRACKED_LANDMARKS,
+    CLEANING_WINDOW_STEPS,
+    CLEANING_TOLERANCE,
+    SAMPEN_M,
+    SAMPEN_R,
+    STRIKE_DETECTORS,
+    getStrikeDetector,
+    levelY,
+    estimateFacingDirection,
+    estimateGroundY,
+    getForwardSign,
+    computeFrameAngles,
+    classifyGaitMode,
+    createGaitEngine,
+    analyzeFrames,
+    cleanRows,
+    sampleSD,
+    dfaAlpha,
+    sampleEntropy,
+    strideRuns,
+    poincareRuns,
+    poincare
+  };
+});
@@ -0,0 +1,112 @@
+// Treadmill Gait Lab — service worker (offline use).
+// Precaches the app and the bundled MediaPipe files (vendor/mediapipe/, when fetched), and
+// caches the pinned CDN copy the first time it is used. Bump CACHE when a release changes.
+const CACHE = "treadmill-gaitlab-v3";
+
+const APP_FILES = [
+  "./",
+  "index.html",
+  "style.css",
+  "gait-core.js",
+  "app.js",
+  "manifest.webmanifest",
+  "icons/icon-192.png",
+  "icons/icon-512.png"
+];
+
+// Same list as vendor/fetch-mediapipe.sh; missing files are skipped (the app then uses the CDN).
+// The heavy models (~30 MB each) are left out here and cached the first time they are used.
+const VENDOR_FILES = [
+  "pose/pose.js",
+  "pose/pose_solution_packed_assets_loader.js",
+  "pose/pose_solution_packed_assets.data",
+  "pose/pose_solution_simd_wasm_bin.js",
+  "pose/pose_solution_simd_wasm_bin.wasm",
+  "pose/pose_solution_wasm_bin.js",
+  "pose/pose_solution_wasm_bin.wasm",
+  "pose/pose_web.binarypb",
+  "pose/pose_landmark_lite.tflite",
+  "pose/pose_landmark_full.tflite",
+  "tasks-vision/vision_bundle.mjs",
+  "tasks-vision/wasm/vision_wasm_internal.js",
+  "tasks-vision/wasm/vision_wasm_internal.wasm",
+  "tasks-vision/wasm/vision_wasm_nosimd_internal.js",
+  "tasks-vision/wasm/vision_wasm_nosimd_internal.wasm",
+  "models/pose_landmarker_lite.task",
+  "models/pose_landmarker_full.task",
+  "drawing_utils/drawing_utils.js"
+].map((f) => `vendor/mediapipe/${f}`);
+
+// versioned URLs never change, so they are served from the cache first
+const PINNED_CDN = [
+  "https://cdn.jsdelivr.net/npm/@mediapipe/",
+  "https://storage.googleapis.com/mediapipe-models/"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(APP_FILES);
+    await Promise.allSettled(VENDOR_FILES.map((f) => cache.add(f)));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key !== CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Cache first for MediaPipe (bundled or pinned CDN), network first for the app itself so
+// updates arrive when online; both fall back to the cache offline.
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+
+  const url = new URL(req.url);
+  const sameOrigin = url.origin === self.location.origin;
+  if (PINNED_CDN.some((p) => url.href.startsWith(p)) || (sameOrigin && url.pathname.includes("/vendor/mediapipe/"))) {
+    event.respondWith(cacheFirst(event, req));
+  } else if (sameOrigin) {
+    event.respondWith(networkFirst(event, req));
+  }
+});
+
+// Successful responses only: an opaque one may be an error page and still takes quota.
+// The write outlives the response (waitUntil); a failed one (e.g. quota) only costs the offline copy.
+function storeResponse(event, req, res) {
+  if (!res.ok) return;
+  const copy = res.clone();
+  event.waitUntil((async () => {
+    try {
+      await (await caches.open(CACHE)).put(req, copy);
+    } catch (e) {
+      console.error(e);
+    }
+  })());
+}
+
+async function cacheFirst(event, req) {
+  const cached = await caches.match(req);
+  if (cached) return cached;
+  const res = await fetch(req);
+  storeResponse(event, req, res);
+  return res;
+}
+
+async function networkFirst(event, req) {
+  try {
+    const res = await fetch(req);
+    storeResponse(event, req, res);
+    return res;
+  } catch (e) {
+    const cached = await caches.match(req, { ignoreSearch: true });
+    if (cached) return cached;
+    if (req.mode === "navigate") return caches.match("index.html");
+    throw e;
+  }
+}
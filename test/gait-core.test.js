@@ -0,0 +1,391 @@
+// Analysis core against synthetic landmark sequences with known strike/toe-off times.
+// Run with: node --test test/
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  STRIKE_DETECTORS, createGaitEngine, analyzeFrames, classifyGaitMode, cleanRows, dfaAlpha, sampleEntropy, poincare,
+  strideRuns, poincareRuns
+} = require("../gait-core.js");
+const { GAITS, generateGait, makeRandom, gaussian } = require("./synthetic-gait.js");
+
+const DET = { visThresh: 0.55, minStrikeMs: 300, smoothN: 5, groundTolPx: 18, detector: "ankleHeel" };
+const SPEED_MS = 1.5;
+
+function analyze(gait, det = {}, settings = {}) {
+  return analyzeFrames(gait.frames, {
+    det: { ...DET, ...det },
+    width: gait.width,
+    height: gait.height,
+    speedMS: SPEED_MS,
+    groundY: gait.groundY,
+    groundSlope: gait.groundSlope,
+    ...settings
+  });
+}
+
+// true strike of the same foot nearest to a detected row
+function nearestStrike(gait, row) {
+  const side = row.stepLabel === "Right" ? "R" : "L";
+  let best = null;
+  for (const s of gait.strikes) {
+    if (s.side === side && (best === null || Math.abs(s.tMs - row.tMs) < Math.abs(best.tMs - row.tMs))) best = s;
+  }
+  return best;
+}
+
+// Every true strike found once, at a constant detection lag (smoothing + peak confirmation),
+// and every step/stride time within one frame of the ground truth.
+function assertMatchesTruth(gait, engine, maxLagMs = 150) {
+  const frameMs = 1000 / gait.fps;
+  const rows = engine.rows;
+
+  // the first strikes can fall inside the smoothing warm-up, the last after the final frame
+  assert.ok(rows.length >= gait.strikes.length - 1, `${rows.length} rows for ${gait.strikes.length} strikes`);
+  assert.ok(rows.length <= gait.strikes.length, `${rows.length} rows for ${gait.strikes.length} strikes`);
+
+  const matched = new Set();
+  for (const row of rows) {
+    const truth = nearestStrike(gait, row);
+    const lag = row.tMs - truth.tMs;
+    assert.ok(lag >= -2 * frameMs && lag <= maxLagMs, `strike at ${row.tMs} ms is ${lag} ms from ${truth.tMs} ms`);
+    assert.ok(!matched.has(truth), `strike at ${truth.tMs} ms detected twice`);
+    matched.add(truth);
+  }
+
+  const truthTime = (row) => nearestStrike(gait, row).tMs;
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (row.strideTimeMs !== null) {
+      const prev = gait.strikes.filter((s) => s.side === nearestStrike(gait, row).side && s.tMs < truthTime(row)).at(-1);
+      const trueStride = truthTime(row) - prev.tMs;
+      assert.ok(Math.abs(row.strideTimeMs - trueStride) <= frameMs + 1e-6, `stride ${row.strideTimeMs} vs ${trueStride} ms`);
+      assert.ok(Math.abs(row.strideLenM - SPEED_MS * row.strideTimeMs / 1000) < 1e-9);
+    }
+    if (row.stepTimeMs !== null) {
+      const trueStep = truthTime(row) - truthTime(rows[i - 1]);
+      assert.ok(Math.abs(row.stepTimeMs - trueStep) <= frameMs + 1e-6, `step ${row.stepTimeMs} vs ${trueStep} ms`);
+    }
+  }
+}
+
+function median(values) {
+  const v = values.filter((x) => x !== null).sort((a, b) => a - b);
+  return v[Math.floor(v.length / 2)];
+}
+
+test("walking: strikes, step/stride times and contact time match the ground truth", () => {
+  const gait = generateGait({ gait: "walk", durationMs: 12000 });
+  const engine = analyze(gait);
+  assertMatchesTruth(gait, engine);
+
+  const contact = median(engine.rows.map((r) => r.contactMs));
+  assert.ok(Math.abs(contact - GAITS.walk.dutyFactor * GAITS.walk.strideMs) <= 60, `contact ${contact} ms`);
+  assert.ok(engine.rows.every((r) => r.stepTimeMs === null || r.mode === "Walk"));
+  assert.equal(engine.transitions.length, 0);
+});
+
+test("running: flight phase makes every step Run", () => {
+  const gait = generateGait({ gait: "run", durationMs: 12000 });
+  const engine = analyze(gait);
+  assertMatchesTruth(gait, engine);
+
+  const contact = median(engine.rows.map((r) => r.contactMs));
+  assert.ok(Math.abs(contact - GAITS.run.dutyFactor * GAITS.run.strideMs) <= 60, `contact ${contact} ms`);
+  assert.ok(median(engine.rows.map((r) => r.flightMs)) > 30);
+  assert.ok(engine.rows.every((r) => r.stepTimeMs === null || r.mode === "Run"));
+});
+
+test("walk-to-run: one transition, at the first running strides", () => {
+  const gait = generateGait({ segments: [{ gait: "walk", durationMs: 6000 }, { gait: "run", durationMs: 6000 }] });
+  const engine = analyze(gait);
+  assertMatchesTruth(gait, engine);
+
+  assert.equal(engine.transitions.length, 1);
+  const [t] = engine.transitions;
+  assert.equal(t.from, "Walk");
+  assert.equal(t.to, "Run");
+  assert.equal(t.speedMS, SPEED_MS);
+  assert.ok(t.tMs > 6000 && t.tMs < 6000 + 2 * GAITS.walk.strideMs, `transition at ${t.tMs} ms`);
+  assert.equal(engine.rows[t.stepNumber - 1].transition, "Walk → Run");
+});
+
+for (const id of Object.keys(STRIKE_DETECTORS)) {
+  test(`detector ${id}: walking and running`, () => {
+    for (const name of ["walk", "run"]) {
+      const gait = generateGait({ gait: name, durationMs: 10000 });
+      const engine = analyze(gait, { detector: id });
+      assertMatchesTruth(gait, engine);
+      assert.ok(engine.frameTrace.every((f) => f.detector === id));
+    }
+  });
+}
+
+test("switching the detector mid-capture adds no spurious strikes", () => {
+  const ids = Object.keys(STRIKE_DETECTORS);
+  for (const name of ["walk", "run"]) {
+    const gait = generateGait({ gait: name, durationMs: 10000 });
+    const engine = createGaitEngine();
+    for (const f of gait.frames) {
+      const detector = ids[Math.floor(f.tMs / 2000) % ids.length];
+      const frame = { width: gait.width, height: gait.height, groundY: gait.groundY, groundSlope: gait.groundSlope, speedMS: SPEED_MS, stage: null };
+      engine.analyzeFrame(f.landmarks, f.tMs, { ...DET, detector }, frame);
+    }
+
+    const matched = new Set();
+    for (const row of engine.rows) {
+      const truth = nearestStrike(gait, row);
+      const lag = row.tMs - truth.tMs;
+      assert.ok(lag >= -2000 / gait.fps && lag <= 150, `${name}: strike at ${row.tMs} ms is ${lag} ms from ${truth.tMs} ms`);
+      assert.ok(!matched.has(truth), `${name}: strike at ${truth.tMs} ms detected twice`);
+      matched.add(truth);
+    }
+    // a switch restarts the smoothing, which can cost the strike right after it
+    assert.ok(engine.rows.length >= gait.strikes.length - ids.length - 1, `${name}: ${engine.rows.length} of ${gait.strikes.length} strikes`);
+  }
+});
+
+test("runner facing left, with landmark noise", () => {
+  const gait = generateGait({ gait: "run", durationMs: 10000, facing: -1, noisePx: 1, seed: 7 });
+  const engine = analyze(gait);
+  assertMatchesTruth(gait, engine);
+  assert.ok(engine.frameTrace.every((f) => f.heelAhead.R === null || Math.abs(f.heelAhead.R) < 0.2 * gait.width));
+});
+
+test("tilted camera: sloped ground line, given or estimated from the heels", () => {
+  const gait = generateGait({ gait: "walk", durationMs: 10000, groundSlope: 0.12 });
+  assertMatchesTruth(gait, analyze(gait));
+  assertMatchesTruth(gait, analyze(gait, {}, { groundY: null }));
+});
+
+test("spatial measures need a scale", () => {
+  const gait = generateGait({ gait: "walk", durationMs: 6000 });
+  assert.ok(analyze(gait).rows.every((r) => r.vertOscCm === null && r.landingCm === null));
+
+  // the hip midpoint bobs 2 × 0.006 of the image height
+  const pxPerM = 400;
+  const rows = analyze(gait, {}, { pxPerM }).rows.filter((r) => r.stepTimeMs !== null);
+  const expected = (100 * 2 * 0.006 * gait.height) / pxPerM;
+  assert.ok(rows.every((r) => Math.abs(r.vertOscCm - expected) < 0.3), `vertical oscillation vs ${expected} cm`);
+  assert.ok(rows.every((r) => r.landingCm > 0));
+});
+
+test("rebuildRows after deleting and restoring a strike", () => {
+  const gait = generateGait({ gait: "walk", durationMs: 10000 });
+  const engine = analyze(gait);
+  const original = engine.rows.map((r) => ({ ...r }));
+
+  const [removed] = engine.strikeEvents.splice(6, 1);
+  const rows = engine.rebuildRows();
+  assert.equal(rows.length, original.length - 1);
+  // the next strike of that foot now spans two strides
+  const next = rows.find((r) => r.tMs > removed.tMs && r.stepLabel === original[6].stepLabel);
+  assert.ok(Math.abs(next.strideTimeMs - 2 * GAITS.walk.strideMs) <= 1000 / gait.fps);
+
+  engine.strikeEvents.push(removed);
+  assert.deepEqual(engine.rebuildRows(), original);
+});
+
+// walking rows with the strike at index `at` missed
+function rowsWithMissedStrike(at = 6) {
+  const gait = generateGait({ gait: "walk", durationMs: 10000 });
+  const engine = analyze(gait);
+  const [missed] = engine.strikeEvents.splice(at, 1);
+  return { gait, missed, rows: engine.rebuildRows().map((r) => ({ ...r })) };
+}
+
+test("cleanRows: a clean series is left alone", () => {
+  const rows = analyze(generateGait({ gait: "run", durationMs: 10000, noisePx: 1, seed: 3 })).rows;
+  const { rows: cleaned, marks } = cleanRows(rows, { interpolate: true });
+  assert.ok(marks.every((m) => m === null));
+  assert.deepEqual(cleaned, rows.map((r) => ({ ...r, correction: null })));
+});
+
+test("cleanRows: a missed strike is flagged, and its stride left out without interpolation", () => {
+  const { rows } = rowsWithMissedStrike();
+  const { rows: cleaned, marks } = cleanRows(rows);
+  assert.equal(cleaned.length, rows.length);
+
+  const i = marks.indexOf("missed step");
+  assert.equal(rows[i].stepLabel, rows[i - 1].stepLabel);
+  assert.ok(rows[i].stepTimeMs > 1.3 * GAITS.walk.strideMs, "raw step time spans both sides");
+  assert.equal(cleaned[i].stepTimeMs, null);
+
+  // the next strike of the other foot: doubled stride
+  assert.equal(marks[i + 1], "missed stride");
+  assert.ok(Math.abs(rows[i + 1].strideTimeMs - 2 * GAITS.walk.strideMs) <= 1000 / 60);
+  assert.equal(cleaned[i + 1].strideTimeMs, null);
+  assert.equal(marks.filter((m) => m !== null).length, 2);
+});
+
+test("cleanRows: a doubled stride is dropped before the running median has enough history", () => {
+  const { rows } = rowsWithMissedStrike(2);
+  const { rows: cleaned, marks } = cleanRows(rows);
+  assert.deepEqual(marks.slice(0, 4), [null, null, "missed step", "missed stride"]);
+  assert.ok(Math.abs(rows[3].strideTimeMs - 2 * GAITS.walk.strideMs) <= 1000 / 60);
+  assert.equal(cleaned[3].strideTimeMs, null);
+  assert.equal(cleaned[3].strideLenM, null);
+  assert.notEqual(cleaned[3].stepTimeMs, null);
+  assert.equal(marks.filter((m) => m !== null).length, 2);
+});
+
+test("cleanRows: interpolation inserts the missed strike and re-measures its neighbours", () => {
+  const { gait, missed, rows } = rowsWithMissedStrike();
+  const { rows: cleaned, marks } = cleanRows(rows, { interpolate: true });
+  assert.equal(cleaned.length, rows.length + 1);
+  assert.equal(marks.filter((m) => m !== null).length, 2);
+
+  const k = cleaned.findIndex((r) => r.correction === "estimated");
+  const est = cleaned[k];
+  assert.equal(est.stepLabel, missed.side === "R" ? "Right" : "Left");
+  assert.ok(Math.abs(est.tMs - missed.tMs) <= 1000 / gait.fps, `estimated at ${est.tMs} vs ${missed.tMs} ms`);
+  assert.ok(Math.abs(est.strideTimeMs - GAITS.walk.strideMs) <= 1000 / gait.fps);
+  assert.equal(est.contactMs, null);
+
+  assert.equal(cleaned[k + 1].correction, "missed step");
+  assert.equal(cleaned[k + 2].correction, "recomputed");
+  for (const r of cleaned.slice(k, k + 3)) {
+    assert.ok(Math.abs(r.stepTimeMs - GAITS.walk.strideMs / 2) <= 1000 / gait.fps, `step ${r.stepTimeMs} ms`);
+  }
+  assert.ok(Math.abs(cleaned[k + 2].strideTimeMs - GAITS.walk.strideMs) <= 1000 / gait.fps);
+  assert.ok(Math.abs(cleaned[k + 2].strideLenM - SPEED_MS * cleaned[k + 2].strideTimeMs / 1000) < 1e-9);
+  assert.ok(cleaned.every((r, j) => j === 0 || r.stepLabel !== cleaned[j - 1].stepLabel), "sides alternate");
+});
+
+test("cleanRows: step and stride times far from the running median are outliers", () => {
+  const rows = analyze(generateGait({ gait: "walk", durationMs: 10000 })).rows.map((r) => ({ ...r }));
+  rows[8].stepTimeMs *= 1.6;
+  rows[10].strideTimeMs *= 0.5;
+  const { rows: cleaned, marks } = cleanRows(rows);
+  assert.deepEqual(marks.flatMap((m, i) => (m ? [[i, m]] : [])), [[8, "outlier"], [10, "outlier"]]);
+  assert.equal(cleaned[8].stepTimeMs, null);
+  assert.notEqual(cleaned[8].strideTimeMs, null);
+  assert.equal(cleaned[10].strideFreqHz, null);
+
+  assert.ok(cleanRows(rows, { tolerance: 0.7 }).marks.every((m) => m === null));
+});
+
+test("tracking dropouts do not break detection after the gap", () => {
+  const gait = generateGait({ gait: "walk", durationMs: 10000, dropouts: [{ fromMs: 4000, toMs: 4800 }] });
+  const engine = analyze(gait);
+  assert.equal(engine.frameTrace.length, gait.frames.filter((f) => f.landmarks).length);
+
+  const after = engine.rows.filter((r) => r.tMs > 6000);
+  assert.ok(after.length >= 6);
+  assert.ok(after.every((r) => Math.abs(r.strideTimeMs - GAITS.walk.strideMs) <= 1000 / gait.fps));
+});
+
+test("tracking gaps: the strides spanning a dropout are flagged low quality", () => {
+  const gait = generateGait({ gait: "walk", durationMs: 10000, dropouts: [{ fromMs: 4000, toMs: 4800 }] });
+  const engine = analyze(gait);
+
+  assert.deepEqual(engine.gaps.map((g) => g.side).sort(), ["L", "R"]);
+  for (const g of engine.gaps) assert.ok(g.fromMs < 4000 && g.toMs >= 4800, `gap ${g.fromMs}–${g.toMs} ms`);
+
+  for (const r of engine.rows) {
+    const spans = r.strideTimeMs !== null && r.tMs - r.strideTimeMs < 4800 && r.tMs > 4000;
+    assert.equal(r.lowQuality, spans, `row at ${r.tMs} ms`);
+    assert.equal(r.gapMs > 0, spans);
+  }
+  assert.ok(engine.rows.some((r) => r.lowQuality));
+});
+
+test("row confidence follows the foot visibility", () => {
+  // facing right: the left side is nearer the camera (visibility 0.95 vs 0.8)
+  const gait = generateGait({ gait: "run", durationMs: 6000 });
+  const rows = analyze(gait).rows;
+  assert.ok(rows.every((r) => !r.lowQuality && r.gapMs === 0));
+  assert.ok(rows.filter((r) => r.stepLabel === "Right").every((r) => Math.abs(r.confidence - 0.8) < 1e-9));
+  assert.ok(rows.filter((r) => r.stepLabel === "Left").every((r) => Math.abs(r.confidence - 0.95) < 1e-9));
+
+  // right foot below the visibility threshold: only left strikes are detected
+  assert.ok(analyze(gait, { visThresh: 0.9 }).rows.every((r) => r.stepLabel === "Left"));
+});
+
+test("tracking summary: frame rate, dropped frames and landmark visibility", () => {
+  const gait = generateGait({ gait: "walk", durationMs: 5000 });
+  // six frames the pose loop never saw (too short to be a gap), one without a pose
+  const frames = gait.frames.filter((f) => f.tMs < 2000 || f.tMs >= 2100);
+  frames[200] = { tMs: frames[200].tMs, landmarks: null };
+  const engine = analyze({ ...gait, frames });
+
+  const t = engine.trackingSummary();
+  assert.equal(t.frames, frames.length);
+  assert.equal(t.posed, frames.length - 1);
+  assert.equal(t.dropped, 6);
+  assert.ok(Math.abs(t.typicalIntervalMs - 1000 / 60) < 1e-6);
+  assert.ok(Math.abs(t.fps - 60 * (frames.length - 1) / (gait.frames.length - 1)) < 0.1, `fps ${t.fps}`);
+  assert.equal(t.gaps.length, 0);
+
+  const heel = (side) => t.landmarks.find((l) => l.name === "Heel" && l.side === side);
+  assert.ok(Math.abs(heel("R").meanVisibility - 0.8) < 1e-9);
+  assert.equal(heel("L").visibleFraction, 1);
+});
+
+test("reset clears every event list in place", () => {
+  const engine = createGaitEngine();
+  const { strikeEvents, toeOffEvents, frameTrace } = engine;
+  const gait = generateGait({ gait: "run", durationMs: 3000 });
+  const frame = { width: gait.width, height: gait.height, groundY: gait.groundY, groundSlope: 0, speedMS: SPEED_MS, stage: 2 };
+  for (const f of gait.frames) engine.analyzeFrame(f.landmarks, f.tMs, DET, frame);
+  assert.ok(strikeEvents.length > 0 && strikeEvents.every((e) => e.stage === 2));
+
+  engine.reset();
+  assert.equal(strikeEvents.length + toeOffEvents.length + frameTrace.length + engine.rows.length, 0);
+  assert.equal(engine.rejectedStrikes, 0);
+  assert.equal(engine.trackingSummary().frames, 0);
+});
+
+test("classifyGaitMode", () => {
+  assert.equal(classifyGaitMode(100, 0, 0.35), "Run");
+  assert.equal(classifyGaitMode(0, 100, 0.62), "Walk");
+  assert.equal(classifyGaitMode(10, 10, 0.62), "Walk");
+  assert.equal(classifyGaitMode(10, 10, 0.4), "Run");
+  assert.equal(classifyGaitMode(0, 0, null), null);
+});
+
+test("DFA alpha: white noise ≈ 0.5, random walk ≈ 1.5", () => {
+  for (const seed of [1, 2, 3, 4, 5]) {
+    const random = makeRandom(seed);
+    const noise = Array.from({ length: 1024 }, () => gaussian(random));
+    let acc = 0;
+    const walk = noise.map((x) => (acc += x));
+    assert.ok(Math.abs(dfaAlpha(noise) - 0.5) < 0.1, `seed ${seed}: noise alpha ${dfaAlpha(noise)}`);
+    assert.ok(Math.abs(dfaAlpha(walk) - 1.5) < 0.1, `seed ${seed}: walk alpha ${dfaAlpha(walk)}`);
+  }
+  assert.equal(dfaAlpha([1000, 1010, 990]), null);
+});
+
+test("Poincaré SD1/SD2 and sample entropy of short known series", () => {
+  // successive differences 10, -20, 30 (sample SD √(1900/3)); sums 2010, 2000, 2010 (SD √(100/3))
+  const { sd1, sd2 } = poincare([1000, 1010, 990, 1020]);
+  assert.ok(Math.abs(sd1 - Math.sqrt(950 / 3)) < 1e-9, `SD1 ${sd1}`);
+  assert.ok(Math.abs(sd2 - Math.sqrt(50 / 3)) < 1e-9, `SD2 ${sd2}`);
+  assert.deepEqual(poincare([1000, 1010]), { sd1: null, sd2: null });
+
+  // a strictly alternating series is perfectly regular: every m-match extends to m + 1
+  const sampEn = sampleEntropy(Array.from({ length: 40 }, (_, i) => (i % 2 ? 1100 : 1000)));
+  assert.ok(sampEn === 0, `SampEn ${sampEn}`); // -log(1) is -0
+});
+
+test("stride runs split at removed strides; Poincaré pairs stay within a run", () => {
+  const { rows } = rowsWithMissedStrike();
+  const { rows: cleaned } = cleanRows(rows);
+  const side = cleaned[cleaned.findIndex((r) => r.correction === "missed stride")].stepLabel;
+  const runs = strideRuns(cleaned, side);
+  assert.equal(runs.length, 2, "the dropped doubled stride splits the series");
+  assert.ok(runs.flat().every((v) => Math.abs(v - GAITS.walk.strideMs) <= 1000 / 60));
+  assert.equal(runs.flat().length, cleaned.filter((r) => r.stepLabel === side && r.strideTimeMs !== null).length);
+
+  // rows the caller leaves out split too
+  const excluded = cleaned.filter((r) => r.stepLabel === side && r.strideTimeMs !== null)[runs[0].length + 2];
+  assert.equal(strideRuns(cleaned, side, (r) => r !== excluded).length, 3);
+
+  // pairs inside each run only: differences 10, -20, 10, -20 (sample SD √300), not the 990 → 2000 jump
+  const split = poincareRuns([[1000, 1010, 990], [2000, 2010, 1990]]);
+  assert.ok(Math.abs(split.sd1 - Math.sqrt(150)) < 1e-9, `SD1 ${split.sd1}`);
+  assert.ok(poincare([1000, 1010, 990, 2000, 2010, 1990]).sd1 > 10 * split.sd1);
+  assert.deepEqual(poincareRuns([[1000, 1010], [990]]), { sd1: null, sd2: null });
+});
@@ -0,0 +1,155 @@
+// Synthetic side-view landmark sequences with known strike and toe-off times.
+// Each foot follows its own list of events: stance = heel on the ground line, sliding back
+// with the belt while the heel lifts; swing = toe and heel clear the ground and return.
+// Coordinates are normalized like MediaPipe output (x right, y down, 0..1).
+"use strict";
+
+const N_LANDMARKS = 33;
+
+const SIDES = {
+  R: { sh: 12, hip: 24, knee: 26, ankle: 28, heel: 30, foot: 32 },
+  L: { sh: 11, hip: 23, knee: 25, ankle: 27, heel: 29, foot: 31 }
+};
+
+// Gait presets: stride time (ms) and duty factor (stance / stride)
+const GAITS = {
+  walk: { strideMs: 1100, dutyFactor: 0.62 },
+  run: { strideMs: 720, dutyFactor: 0.36 }
+};
+
+// small deterministic PRNG (mulberry32) so noisy sequences are reproducible
+function makeRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(random) {
+  const u = Math.max(1e-12, random());
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// segments = [{ gait: "walk" | "run" | { strideMs, dutyFactor }, durationMs }]
+function gaitAt(segments, tMs) {
+  let end = 0;
+  for (const seg of segments) {
+    end += seg.durationMs;
+    if (tMs < end) return typeof seg.gait === "string" ? GAITS[seg.gait] : seg.gait;
+  }
+  const last = segments[segments.length - 1].gait;
+  return typeof last === "string" ? GAITS[last] : last;
+}
+
+// strikes of one foot from before t = 0 (so the first frames are mid-cycle) to past the end;
+// the stride starting at a strike uses the gait active at that strike
+function footEvents(segments, firstStrikeMs, endMs) {
+  const events = [];
+  const g0 = gaitAt(segments, 0);
+  let t = firstStrikeMs - 2 * g0.strideMs;
+  while (t < endMs + 2 * g0.strideMs) {
+    const g = gaitAt(segments, Math.max(0, t));
+    events.push({ strikeMs: t, toeOffMs: t + g.dutyFactor * g.strideMs, nextMs: t + g.strideMs });
+    t += g.strideMs;
+  }
+  return events;
+}
+
+// heel/toe height above the ground and forward position vs the hip (normalized units)
+function footPose(events, tMs) {
+  const ev = events.find((e) => tMs >= e.strikeMs && tMs < e.nextMs);
+  if (tMs < ev.toeOffMs) {
+    const s = (tMs - ev.strikeMs) / (ev.toeOffMs - ev.strikeMs);
+    return { heel: 0.03 * s * s, toe: 0, forward: 0.1 - 0.2 * s };
+  }
+  const s = (tMs - ev.toeOffMs) / (ev.nextMs - ev.toeOffMs);
+  return {
+    heel: 0.03 * (1 - s) + 0.08 * Math.sin(Math.PI * s),
+    toe: 0.1 * Math.sin(Math.PI * s),
+    forward: -0.1 + 0.2 * s
+  };
+}
+
+// opts: { segments | gait, durationMs, fps, width, height, ground (normalized y at the centre),
+//         groundSlope (px per px), facing (+1 = moving to image right), noisePx, seed,
+//         dropouts: [{ fromMs, toMs }] (no pose) }
+function generateGait(opts = {}) {
+  const segments = opts.segments ?? [{ gait: opts.gait ?? "walk", durationMs: opts.durationMs ?? 10000 }];
+  const durationMs = segments.reduce((s, seg) => s + seg.durationMs, 0);
+  const fps = opts.fps ?? 60;
+  const width = opts.width ?? 1280;
+  const height = opts.height ?? 720;
+  const ground = opts.ground ?? 0.85;
+  const slope = opts.groundSlope ?? 0;
+  const facing = opts.facing ?? 1;
+  const noisePx = opts.noisePx ?? 0;
+  const dropouts = opts.dropouts ?? [];
+  const random = makeRandom(opts.seed ?? 1);
+
+  const g0 = gaitAt(segments, 0);
+  const feet = {
+    R: footEvents(segments, 0.25 * g0.strideMs, durationMs),
+    L: footEvents(segments, 0.75 * g0.strideMs, durationMs)
+  };
+
+  const frames = [];
+  for (let i = 0; i * 1000 / fps < durationMs; i++) {
+    const tMs = i * 1000 / fps;
+    if (dropouts.some((d) => tMs >= d.fromMs && tMs < d.toMs)) {
+      frames.push({ tMs, landmarks: null });
+      continue;
+    }
+
+    const lm = [];
+    for (let k = 0; k < N_LANDMARKS; k++) lm.push({ x: 0.5, y: 0.3, z: 0, visibility: 0.9 });
+
+    // hip midpoint bobs twice per stride
+    const bob = 0.006 * Math.cos(4 * Math.PI * tMs / g0.strideMs);
+    for (const side of ["R", "L"]) {
+      const ids = SIDES[side];
+      const near = (side === "R") === (facing < 0); // side facing the camera
+      const vis = near ? 0.95 : 0.8;
+      const p = footPose(feet[side], tMs);
+      const fx = 0.5 + facing * p.forward;
+
+      lm[ids.sh] = { x: 0.5 + facing * 0.02, y: 0.25 + bob, z: 0, visibility: vis };
+      lm[ids.hip] = { x: 0.5, y: 0.5 + bob, z: 0, visibility: vis };
+      lm[ids.knee] = { x: (fx + 0.5) / 2 + facing * 0.03, y: 0.68 - 0.5 * p.heel + bob / 2, z: 0, visibility: vis };
+      lm[ids.ankle] = { x: fx + facing * 0.01, y: ground - p.heel - 0.04, z: 0, visibility: vis };
+      lm[ids.heel] = { x: fx, y: ground - p.heel, z: 0, visibility: vis };
+      lm[ids.foot] = { x: fx + facing * 0.05, y: ground - p.toe, z: 0, visibility: vis };
+    }
+
+    for (const p of lm) {
+      if (noisePx > 0) {
+        p.x += (noisePx * gaussian(random)) / width;
+        p.y += (noisePx * gaussian(random)) / height;
+      }
+      // camera tilt: the whole scene is sheared so the ground line has the given slope
+      p.y += (slope * (p.x * width - width / 2)) / height;
+    }
+    frames.push({ tMs, landmarks: lm });
+  }
+
+  const truth = (key) => ["R", "L"]
+    .flatMap((side) => feet[side].map((e) => ({ side, tMs: e[key] })))
+    .filter((e) => e.tMs >= 0 && e.tMs < durationMs)
+    .sort((a, b) => a.tMs - b.tMs);
+
+  return {
+    frames,
+    fps,
+    width,
+    height,
+    groundY: ground * height,
+    groundSlope: slope,
+    strikes: truth("strikeMs"),
+    toeOffs: truth("toeOffMs")
+  };
+}
+
+module.exports = { GAITS, generateGait, makeRandom, gaussian };